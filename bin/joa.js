@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/* File: bin/joa.js */
+/**
+ * The joa command, a command line interface on top of the JOA library to build, sign, send and decode payloads.
+ * Run joa without arguments to see its usage.
+ *
+ * @module joa-cli
+ */
+var fs = require("fs"),
+    JOA = require("../src/Joa.js");
+
+var usage = [
+    "Usage: joa <command> [options] [file]",
+    "",
+    "Commands:",
+    "  build <readings.json|readings.csv>  Creates a payload from a file of readings.",
+    "  sign [payload]                      Adds the hash attribute to a payload, or verifies it with --verify.",
+    "  send [payload]                      Posts a payload and prints the status of every message.",
+    "  decode [payload|response]           Pretty prints a payload or a response of the backoffice.",
+    "",
+    "Options:",
+    "  --vendor <name>        The vendor attribute of the header (build).",
+    "  --gateway <ip>         The gateway identifier of the header (build).",
+    "  --time                 Requests a time indication in the response (build).",
+    "  --compress             Leaves fields that equal the previous message empty (build).",
+    "  --secret <secret>      The shared secret, the payload is signed when given (build, sign, decode).",
+    "  --verify               Verifies the hash instead of adding it (sign).",
+    "  --url <url>            The url of the backoffice (send).",
+    "",
+    "A file of - or no file at all reads from stdin. Readings are an array of objects (or a CSV file with a header",
+    "line) with an eui64, timestamp, value and either a name from the cluster catalogue, like",
+    "temperatureMeasurement.measuredValue, or a clusterId, attributeId and dataTypeId. Equally spaced readings are",
+    "sent as Multireports. CSV fields may be quoted as in RFC 4180, a quoted field can hold commas, line breaks and",
+    "quotes written as \"\"."
+].join("\n");
+
+/**
+ * Parses the command line arguments into a command, options and files. <br/>
+ *
+ * @method parseArguments
+ * @param {[String]} argv The arguments, without node and the script.
+ * @return {Object} An object with a command, options and files property.
+ * @private
+ */
+function parseArguments(argv) {
+    var i,
+        flags = ["time", "compress", "verify"],
+        args = {command: argv[0], options: {}, files: []};
+    for (i = 1; i < argv.length; i += 1) {
+        if (argv[i].indexOf("--") === 0 && argv[i].length > 2) {
+            var name = argv[i].slice(2);
+            if (flags.indexOf(name) !== -1) {
+                args.options[name] = true;
+            } else {
+                args.options[name] = argv[i + 1];
+                i += 1;
+            }
+        } else {
+            args.files.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+/**
+ * Reads a file, or stdin when the file is - or omitted. <br/>
+ *
+ * @method readInput
+ * @param {String} [file] The path of the file.
+ * @param {Object} io The input and output of the command.
+ * @param {Function} cb A callback function with an error and the contents of the file.
+ * @private
+ */
+function readInput(file, io, cb) {
+    var chunks = [];
+    if (file && file !== "-") {
+        fs.readFile(file, "utf8", cb);
+        return;
+    }
+    io.stdin.setEncoding("utf8");
+    io.stdin.on("data", function (chunk) {
+        chunks.push(chunk);
+    });
+    io.stdin.on("end", function () {
+        cb(null, chunks.join(""));
+    });
+}
+
+/**
+ * Converts a value of a CSV file to a number whenever it looks like one. <br/>
+ *
+ * @method parseValue
+ * @param {String} value The value.
+ * @return {String|Number} The value as a number or the value itself.
+ * @private
+ */
+function parseValue(value) {
+    return /^-?[0-9]+(\.[0-9]+)?$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Splits a CSV file into rows of fields, following RFC 4180: a field may be quoted, a quoted field can hold commas,
+ * line breaks and quotes written as two quotes. Empty lines are skipped. <br/>
+ *
+ * @method parseCsv
+ * @param {String} text The contents of the file.
+ * @return {[[String]]} The rows.
+ * @throws {Error} When a quoted field is not closed or is followed by anything else than a comma or line break.
+ * @private
+ */
+function parseCsv(text) {
+    var i = 0,
+        line = 1,
+        rows = [],
+        row = [],
+        field = "",
+        quoted = false,
+        quoteLine = 0;
+    function endRow() {
+        row.push(field);
+        if (row.length > 1 || row[0].trim().length > 0) {
+            rows.push(row);
+        }
+        row = [];
+        field = "";
+    }
+    while (i < text.length) {
+        var c = text.charAt(i);
+        if (quoted) {
+            if (c === "\"" && text.charAt(i + 1) === "\"") {
+                field += "\"";
+                i += 1;
+            } else if (c === "\"") {
+                quoted = false;
+                if (i + 1 < text.length && !/[,\r\n]/.test(text.charAt(i + 1))) {
+                    throw new Error("Unexpected character after the quoted field on line " + line + ".");
+                }
+            } else {
+                line += c === "\n" ? 1 : 0;
+                field += c;
+            }
+        } else if (c === "\"" && field.trim().length === 0) {
+            quoted = true;
+            quoteLine = line;
+            field = "";
+        } else if (c === ",") {
+            row.push(field);
+            field = "";
+        } else if (c === "\n" || c === "\r") {
+            endRow();
+            //a CRLF line break is a single line break
+            if (c === "\r" && text.charAt(i + 1) === "\n") {
+                i += 1;
+            }
+            line += 1;
+        } else {
+            field += c;
+        }
+        i += 1;
+    }
+    if (quoted) {
+        throw new Error("The quoted field that starts on line " + quoteLine + " is not closed.");
+    }
+    if (field.length > 0 || row.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+/**
+ * Parses a file of readings, either a JSON array or a CSV file with a header line. <br/>
+ *
+ * @method parseReadings
+ * @param {String} text The contents of the file.
+ * @return {[Object]} The readings.
+ * @private
+ */
+function parseReadings(text) {
+    var rows,
+        columns;
+    if (/^\s*\[/.test(text)) {
+        return JSON.parse(text);
+    }
+    rows = parseCsv(text);
+    columns = (rows.shift() || []).map(function (column) {
+        return column.trim();
+    });
+    return rows.map(function (cells) {
+        var i,
+            reading = {};
+        for (i = 0; i < columns.length; i += 1) {
+            if (cells[i] !== undefined && cells[i].trim() !== "") {
+                reading[columns[i]] = columns[i] === "eui64" ? cells[i].trim() : parseValue(cells[i].trim());
+            }
+        }
+        return reading;
+    });
+}
+
+/**
+ * Adds the hash attribute to a payload, an existing hash attribute is replaced. <br/>
+ *
+ * @method signPayload
+ * @param {String} payload The payload.
+ * @param {String} secret The shared secret.
+ * @return {String} The signed payload.
+ * @private
+ */
+function signPayload(payload, secret) {
+    var eol = payload.indexOf("\n"),
+        header = payload.slice(0, eol).replace(/,hash=[^,]*/, ""),
+        unsigned = header + payload.slice(eol);
+    return header + ",hash=" + JOA.md5(secret + unsigned) + payload.slice(eol);
+}
+
+/**
+ * The commands of joa, each command gets the parsed arguments, the input and output and a callback function with
+ * an error and the exit code. <br/>
+ *
+ * @property commands
+ * @type {Object}
+ * @private
+ */
+var commands = {
+    build: function (args, io, cb) {
+        readInput(args.files[0], io, function (err, text) {
+            var client = new JOA();
+            if (err) {
+                return cb(err);
+            }
+            client.headers({
+                attribute: {
+                    vendor: args.options.vendor || null,
+                    time: !!args.options.time,
+                    hash: !!args.options.secret,
+                    secret: args.options.secret || null
+                },
+                gatewayIdentifier: args.options.gateway || null
+            });
+            client.compress = !!args.options.compress;
+            try {
+                client.addSeries(parseReadings(text));
+            } catch (e) {
+                return cb(e);
+            }
+            client.parsePayloadAsync().then(function (payload) {
+                io.stdout.write(payload);
+                cb(null, 0);
+            }, cb);
+        });
+    },
+    sign: function (args, io, cb) {
+        if (!args.options.secret) {
+            return cb(new Error("The sign command needs a --secret."));
+        }
+        readInput(args.files[0], io, function (err, payload) {
+            if (err) {
+                return cb(err);
+            }
+            if (!args.options.verify) {
+                io.stdout.write(signPayload(payload, args.options.secret));
+                return cb(null, 0);
+            }
+            JOA.decodePayload(payload, args.options.secret, function (err, decoded) {
+                if (err) {
+                    return cb(err);
+                }
+                io.stdout.write((decoded.hashValid ? "valid" : "invalid") + "\n");
+                cb(null, decoded.hashValid ? 0 : 1);
+            });
+        });
+    },
+    send: function (args, io, cb) {
+        if (!args.options.url) {
+            return cb(new Error("The send command needs an --url."));
+        }
+        readInput(args.files[0], io, function (err, payload) {
+            if (err) {
+                return cb(err);
+            }
+            JOA.decodePayload(payload, null, function (err, decoded) {
+                if (err) {
+                    return cb(err);
+                }
+                var request = {
+                    url: args.options.url,
+                    method: "POST",
+                    headers: {"Content-type": "text/plain;charset=UTF-8"},
+                    body: payload
+                };
+                io.transport(request, function (err, response) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    if (response.status !== 200) {
+                        return cb(new Error("HTTP " + response.status + " " + response.statusText));
+                    }
+                    var model = JOA.reconcileResponse(JOA.parseResponse(response.body), decoded.messages),
+                        failed = 0;
+                    decoded.messages.forEach(function (message) {
+                        var status = model.statuses[message.id];
+                        failed += status.code === 200 ? 0 : 1;
+                        io.stdout.write(message.id + "\t" + status.code + "\t" + status.text + "\n");
+                    });
+                    model.unknownIds.forEach(function (id) {
+                        io.stdout.write(id + "\t" + model.explicit[id].code + "\t" + model.explicit[id].text +
+                                " (never sent)\n");
+                    });
+                    cb(null, failed > 0 ? 1 : 0);
+                });
+            });
+        });
+    },
+    decode: function (args, io, cb) {
+        readInput(args.files[0], io, function (err, text) {
+            if (err) {
+                return cb(err);
+            }
+            if (text.indexOf("MuniRPCv2:") !== 0) {
+                io.stdout.write(JSON.stringify(JOA.parseResponse(text), null, 2) + "\n");
+                return cb(null, 0);
+            }
+            JOA.decodePayload(text, args.options.secret || null, function (err, decoded) {
+                if (err) {
+                    return cb(err);
+                }
+                io.stdout.write(JSON.stringify(decoded, null, 2) + "\n");
+                cb(null, 0);
+            });
+        });
+    }
+};
+
+/**
+ * Runs joa. <br/>
+ *
+ * @method run
+ * @param {[String]} argv The arguments, without node and the script.
+ * @param {Object} io An object with the stdin, stdout and stderr streams and the transport used to send payloads.
+ * @param {Function} cb A callback function with the exit code.
+ */
+function run(argv, io, cb) {
+    var args = parseArguments(argv);
+    if (!commands.hasOwnProperty(args.command)) {
+        io.stderr.write(usage + "\n");
+        return cb(2);
+    }
+    commands[args.command](args, io, function (err, code) {
+        if (err) {
+            io.stderr.write("joa: " + (err.code ? err.code + ": " : "") + err.message + "\n");
+            return cb(1);
+        }
+        cb(code);
+    });
+}
+
+exports.run = run;
+
+if (require.main === module) {
+    run(process.argv.slice(2), {
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        transport: JOA.transports.node
+    }, function (code) {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,206 @@
+/* File: mock/server.js */
+/**
+ * A mock of the MuniRPCv2 backoffice, to test clients without reaching joa3.munisense.net. It can be used
+ * in-process, by setting its transport as the transport of a client, or on localhost with listen(). Incoming
+ * payloads are decoded and their hash is verified, the reply is scripted with the status of every message id,
+ * the default status and the time indication. Both the plain text interface and the debug interface (a form with
+ * the payload in joa3[body], answered with a HTML page with the response in a pre element) are supported.
+ *
+ * @module joa-mock
+ */
+var http = require("http"),
+    JOA = require("../src/Joa.js");
+
+/**
+ * Creates a mock backoffice. <br/>
+ *
+ * @method createServer
+ * @param {Object} [options] The options, which are also properties of the server that can be changed at any time:<br/>
+ * - secret {String}: The shared secret, payloads with a missing or wrong hash get the 482 status for all messages.
+ * Null (the default) accepts any payload.<br/>
+ * - signer {Object}: The signer the payloads are verified with (see JOA.signers), JOA.signers.md5 when null (the
+ * default).<br/>
+ * - defaultStatus {Integer}: The status of the messages without a status of their own, 200 is default.<br/>
+ * - statuses {Object}: The status code of a message by id, for example {3: 487}.<br/>
+ * - status {Function}: Returns the status code of a message, which is given as a decoded message object.
+ * Overrides statuses and defaultStatus when set.<br/>
+ * - time {Number}: The timestamp of the time indication, sent whenever the time attribute is set. The current
+ * time when null (the default).<br/>
+ * - httpStatus {Integer}: The HTTP status of the replies, 200 is default. Any other status is replied without a
+ * body, to test the error handling of a client.
+ * @return {Object} The server, with the requests property holding every decoded payload it received (with a raw
+ * property holding the payload itself) and the transport, handle, listen and close functions.
+ * @example
+ var mock = require("joa-js-client/mock/server.js").createServer({statuses: {2: 487}}),
+     client = new JOA("http://localhost/");
+ client.transport = mock.transport;
+ */
+function createServer(options) {
+    var httpServer = null,
+        server = {
+            secret: null,
+            signer: null,
+            defaultStatus: 200,
+            statuses: {},
+            status: null,
+            time: null,
+            httpStatus: 200,
+            requests: []
+        };
+    Object.keys(options || {}).forEach(function (key) {
+        server[key] = options[key];
+    });
+    /**
+     * Determines the status code of every message. <br/>
+     *
+     * @method getStatusCodes
+     * @param {Object} decoded The decoded payload.
+     * @return {[Integer]} The status codes, in the order of the messages.
+     * @private
+     */
+    function getStatusCodes(decoded) {
+        return decoded.messages.map(function (message) {
+            if (decoded.hashValid === false) {
+                return 482;
+            }
+            if (server.status) {
+                return server.status(message);
+            }
+            return server.statuses.hasOwnProperty(message.id) ? server.statuses[message.id] : server.defaultStatus;
+        });
+    }
+    /**
+     * Creates the response for a decoded payload. Just like the backoffice the most occurring status is sent as the
+     * default status, without ids, and every other status lists the ids of its messages. <br/>
+     *
+     * @method respond
+     * @param {Object} decoded The decoded payload.
+     * @return {String} The response.
+     * @private
+     */
+    function respond(decoded) {
+        var codes = getStatusCodes(decoded),
+            ids = {},
+            order = [],
+            defaultCode = null,
+            response = "";
+        codes.forEach(function (code, i) {
+            if (!ids.hasOwnProperty(code)) {
+                ids[code] = [];
+                order.push(code);
+            }
+            ids[code].push(decoded.messages[i].id);
+            if (defaultCode === null || ids[code].length > ids[defaultCode].length) {
+                defaultCode = code;
+            }
+        });
+        if (defaultCode !== null) {
+            response += "s\t" + defaultCode + "\n";
+        }
+        order.forEach(function (code) {
+            if (code !== defaultCode) {
+                response += "s\t" + code + "\t" + ids[code].join("\t") + "\n";
+            }
+        });
+        if (decoded.attribute.time) {
+            response += "t\t" + (server.time === null ? Date.now() : server.time) + "\n";
+        }
+        return response;
+    }
+    /**
+     * Handles a request the way the backoffice would. <br/>
+     *
+     * @method handle
+     * @param {Object} request The request, with a headers object and a body.
+     * @return {Object} The response, with a status, statusText and body property.
+     */
+    server.handle = function (request) {
+        var body = request.body || "",
+            debug = body.indexOf("joa3[") === 0,
+            payload = debug ? body.slice(body.indexOf("joa3[body]=") + 11) : body,
+            response = null;
+        if (server.httpStatus !== 200) {
+            return {status: server.httpStatus, statusText: http.STATUS_CODES[server.httpStatus], body: ""};
+        }
+        JOA.decodePayload(payload, server.secret, server.signer, function (err, decoded) {
+            if (err) {
+                response = {status: 400, statusText: "Bad Request", body: err.code + "\n"};
+                return;
+            }
+            decoded.raw = payload;
+            server.requests.push(decoded);
+            response = respond(decoded);
+            response = {
+                status: 200,
+                statusText: "OK",
+                body: debug ? "<html><body><pre>" + response + "</pre></body></html>" : response
+            };
+        });
+        return response;
+    };
+    /**
+     * A transport (see JOA.transports) that hands requests to this server in-process, a streamed payload is read
+     * before it is handled. <br/>
+     *
+     * @method transport
+     * @param {Object} request The request.
+     * @param {Function} cb A callback function with an error and the response.
+     */
+    server.transport = function (request, cb) {
+        var chunks = [];
+        if (!request.stream) {
+            return cb(null, server.handle(request));
+        }
+        request.stream.setEncoding("utf8");
+        request.stream.on("data", function (chunk) {
+            chunks.push(chunk);
+        });
+        request.stream.on("error", function (err) {
+            cb(err, null);
+        });
+        request.stream.on("end", function () {
+            cb(null, server.handle({headers: request.headers, body: chunks.join("")}));
+        });
+    };
+    /**
+     * Starts listening on localhost. <br/>
+     *
+     * @method listen
+     * @param {Integer} [port] The port, a free port when 0 or omitted.
+     * @param {Function} cb A callback function with an error and the url of the server.
+     */
+    server.listen = function (port, cb) {
+        httpServer = http.createServer(function (req, res) {
+            var chunks = [];
+            req.setEncoding("utf8");
+            req.on("data", function (chunk) {
+                chunks.push(chunk);
+            });
+            req.on("end", function () {
+                var response = server.handle({headers: req.headers, body: chunks.join("")});
+                res.writeHead(response.status, response.statusText, {"Content-Type": "text/plain;charset=UTF-8"});
+                res.end(response.body);
+            });
+        });
+        httpServer.on("error", cb);
+        httpServer.listen(port || 0, "127.0.0.1", function () {
+            cb(null, "http://127.0.0.1:" + httpServer.address().port + "/");
+        });
+    };
+    /**
+     * Stops listening. <br/>
+     *
+     * @method close
+     * @param {Function} [cb] A callback function, called once the server is closed.
+     */
+    server.close = function (cb) {
+        if (!httpServer) {
+            return cb && cb();
+        }
+        httpServer.close(cb);
+        httpServer = null;
+    };
+    return server;
+}
+
+exports.createServer = createServer;
@@ -9,25 +9,6 @@
  **/
 var JOA = (function () {
     "use strict";
-    /**
-     * A flag to indicate that this JOA object is running in debug mode. Standard value is false. 
-     * Whenever debugging is set to true the post() method will posts it's data like the JOA
-     * debugging form found at: http://joa3.munisense.net/debug/index.php. This is not a flag
-     * that is used for debugging purposes of this JOA object, but rather to indicate how to
-     * send the data to the backoffice (production or development wise).<br/><br />
-     * This flag ought to be set to true if you were to post to http://joa3.munisense.net/debug/.
-     *
-     * @property JOA.debug
-     * @type {Boolean}
-     */
-    var debug = true;
-    /**
-     * Represents the current set backoffice url. <br/>
-     *
-     * @property JOA.url
-     * @type {String}
-     */
-    var url = null;
     /**
      * Special characters used by the JOA protocol. <br/>
      *
@@ -40,50 +21,13 @@ var JOA = (function () {
         eol: "\u000A"
     };
     /**
-     * The header object used to construct a valid header for a particular request. <br/><br/>
-     * attribute: A header can also contain an optional comma separated list of value-attribute pairs.<br/>
-     * attribute.vendor {String}: The 'vendor' attribute is a string containing the assigned vendor name. A vendor field is required.<br/><br/>
-     * attribute.hash {Boolean}: The 'hash' attribute is the MD5 hash of the shared secret concatenated with the contents of the full
-     * HTTP POST, including the header without a hash attribute. This value is required when using security level 3 or 4.
-     * For this attribute a boolean should be given; true to hash the payload and false for not.<br/><br/>
-     * attribute.secret {String}: The 'secret' attributes is the clear-text shared secret. This value is required for security level 2.<br/><br/>
-     * attribute.time {Boolean}: The 'time' attribute indicates a time request. It expects a boolean, true if you want a time
-     * indication in the response or false if you don't want a time indication.<br/><br/>
-     * gatewayIdentifier: The gateway identifier is a 32bit value formatted as an IP address.
-     * This IP address will not be the address of the sending node or the backoffice, but
-     * a virtual identifier assigned to this device. The address will be an address in the private range
-     * defined in RFC1918.<br/><br/>
-     *
-     * @property JOA.header
-     * @type {Object}
-     @example
-     {
-        attribute: {
-            vendor: "debug4",
-            hash: true,
-            secret: "simple_secret",
-            time: true
-        },
-        gatewayIdentifier: "12.34.56.78"
-        }
-     */
-    var header = {
-        attribute: {
-            vendor: null,
-            hash: null,
-            secret: null,
-            time: null
-        },
-        gatewayIdentifier: null
-    }, protocolVersion = "MuniRPCv2:";
-    /**
-     * A counter to be used for message id's. <br/>
+     * The protocol and version indication every header definition starts with. <br/>
      *
-     * @property JOA.messageId
-     * @type {Integer}
+     * @property JOA.protocolVersion
+     * @type {String}
      * @private
      */
-    var messageId = 0;
+    var protocolVersion = "MuniRPCv2:";
     /**
      * An object to be used as an enumerator for message types. <br/>
      *
@@ -98,6 +42,165 @@ var JOA = (function () {
         TAZFrame: 3,
         TimeIndication: "t"
     };
+    /**
+     * The base class of all errors of JOA. Every error has a stable, machine readable code (for example
+     * no_secret_set), the offending field and message id whenever these are known and the underlying cause,
+     * like the error of the transport. Errors are either a JoaConfigError, JoaValidationError, JoaTransportError
+     * or JoaProtocolError, monitoring code can branch on those using instanceof or the name property.<br/>
+     *
+     * @class JoaError
+     * @constructor
+     * @param {String} code The machine readable code of the error.
+     * @param {String} [message] A description of the error, the code is used when no message is given.
+     * @param {Object} [details] An object with the field, messageId and cause of the error, any other property
+     * of this object is set on the error as well.
+     * @example
+     JOA.post(null, function (err, response, messages) {
+        if (err instanceof JOA.JoaTransportError) {
+            console.log(err.code, err.status, err.cause);
+        }
+     });
+    **/
+    function JoaError(code, message, details) {
+        var i,
+            keys;
+        details = details || {};
+        keys = Object.keys(details);
+        this.name = "JoaError";
+        this.code = code;
+        this.message = message || code;
+        this.field = null;
+        this.messageId = null;
+        this.cause = null;
+        for (i = 0; i < keys.length; i += 1) {
+            this[keys[i]] = details[keys[i]];
+        }
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, this.constructor);
+        } else {
+            this.stack = (new Error(this.message)).stack;
+        }
+    }
+    JoaError.prototype = Object.create(Error.prototype);
+    JoaError.prototype.constructor = JoaError;
+    /**
+     * Creates a subclass of JoaError with the given name. <br/>
+     *
+     * @method JOA.createErrorType
+     * @param {String} name The name of the error class.
+     * @return {Function} The error class.
+     * @private
+     */
+    function createErrorType(name) {
+        var ErrorType = function (code, message, details) {
+            JoaError.call(this, code, message, details);
+            this.name = name;
+        };
+        ErrorType.prototype = Object.create(JoaError.prototype);
+        ErrorType.prototype.constructor = ErrorType;
+        return ErrorType;
+    }
+    /**
+     * An error in the configuration of a client, for example a missing vendor attribute, gateway identifier or
+     * secret. The field property holds the name of the missing header field. <br/>
+     *
+     * @class JoaConfigError
+     * @extends JoaError
+    **/
+    var JoaConfigError = createErrorType("JoaConfigError");
+    /**
+     * An error in the value of a message field, thrown before the message is added to the queue. The field
+     * property holds the name of the invalid field, the status property the message status the backoffice would
+     * have responded with. <br/>
+     *
+     * @class JoaValidationError
+     * @extends JoaError
+    **/
+    var JoaValidationError = createErrorType("JoaValidationError");
+    /**
+     * An error while sending a payload to the backoffice. The code is http_error when the backoffice responded with
+     * another HTTP status than 200, the status and text properties then hold the HTTP status code and text. The code
+     * is network_error when no response was received at all, or timeout when no response was received in time (see
+     * JOA.timeout), the cause property then holds the error of the transport. <br/>
+     *
+     * @class JoaTransportError
+     * @extends JoaError
+    **/
+    var JoaTransportError = createErrorType("JoaTransportError");
+    /**
+     * An error in a payload that does not follow the MuniRPCv2 protocol, for example while decoding a payload.
+     * The messageId property holds the id of the offending message whenever it is known. <br/>
+     *
+     * @class JoaProtocolError
+     * @extends JoaError
+    **/
+    var JoaProtocolError = createErrorType("JoaProtocolError");
+    /**
+     * Returns the message status of a status code, a code that is not in JOA.messageStatus is preserved in a status
+     * of its own. <br/>
+     *
+     * @method JOA.getStatus
+     * @param {String} code The status code as it appears in a response.
+     * @return {Object} The message status, with a code, text and description property.
+     * @private
+     */
+    function getStatus(code) {
+        return messageStatus[code] || {
+            code: /^[0-9]+$/.test(code) ? parseInt(code, 10) : code,
+            text: "Unknown",
+            description: "The status code is not known to this client."
+        };
+    }
+    /**
+     * The schema of each message type by message type id. Messages are written following their schema, so the
+     * order of the properties of a message object does not matter and any other property (like the status,
+     * attempts or tags of a message) is never written. Each schema has:<br/>
+     * - name {String}: The name of the message type.<br/>
+     * - fields {[String]}: The fields in the order in which they appear on a line.<br/>
+     * - optional {[String]}: The fields that may be left without a value, all other fields are required. An optional
+     * field without a value is sent empty, so it is never copied from the previous message (see JOA.compress).<br/>
+     * - repeated {String}: The name of the array field whose elements follow the other fields, like the values of a
+     * ZCL Multireport, or null.<br/>
+     * Messages of a type without a schema are written as their id, message type and the elements of their fields
+     * array, which is also how such messages are decoded (see JOA.decodePayload()). Custom objects without a fields
+     * array are written in the order of their own properties, so they should be given a schema instead. The TAZ
+     * frame (3) has no schema, because the layout of its fields is not confirmed by the protocol documentation.
+     *
+     * @property JOA.messageSchemas
+     * @type {Object}
+     */
+    var messageSchemas = {
+        0: {
+            name: "ZCLReport",
+            fields: ["id", "messageType", "eui64", "endpointId", "profileId", "clusterId", "attributeId", "dataTypeId",
+                "timestamp", "value"],
+            optional: [],
+            repeated: null
+        },
+        1: {
+            name: "ZCLMultiReport",
+            fields: ["id", "messageType", "eui64", "endpointId", "profileId", "clusterId", "attributeId", "dataTypeId",
+                "timestamp", "offset"],
+            optional: [],
+            repeated: "values"
+        },
+        2: {
+            name: "ZCLCommand",
+            fields: ["id", "messageType", "eui64", "endpointId", "profileId", "clusterId", "isClusterSpecific",
+                "commandId", "timestamp", "value"],
+            //a command can be without a payload, which is sent as an empty value
+            optional: ["value"],
+            repeated: null
+        }
+    };
+    /**
+     * The fields that are decoded as numbers instead of strings, whenever they are not empty. <br/>
+     *
+     * @property JOA.numericFields
+     * @type {Array}
+     * @private
+     */
+    var numericFields = ["id", "messageType", "timestamp", "offset"];
     /**
      * An object to be used as an enumerator for message codes. <br/>
      *
@@ -147,7 +250,7 @@ var JOA = (function () {
             description: "The offset value in a MultiReport message is not valid."
         },
         487: {
-            nr: 487,
+            code: 487,
             text: "Invalid Value",
             description: "The value of one of the fields in a message is not valid."
         },
@@ -163,763 +266,4361 @@ var JOA = (function () {
         }
     };
     /**
-     * A queue (array) containing all message objects.<br/>
+     * The characters used by base64 encoding, in order of their value. <br/>
      *
-     * @property JOA.messages
-     * @type {Array}
+     * @property JOA.base64Chars
+     * @type {String}
      * @private
      */
-    var messages = [];
+    var base64Chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
     /**
-     * JOA is an object used to communicate with the backoffice of Munisense. 
-     * This object will be able to construct a (syntactically) valid payload according to the ms-tech-141003-3 specification.
-     * Knowledge of the ms-tech-141003-3 document and the ZigBee cluster specification is required. <br /><br />
-     * There is no need to 'new' this object as that is being done for you. Usage is through the JOA() object. For
-     * an example implementation see 'examples'. All requests made to the backoffice are made asynchronously.<br /><br />
-     * Currently this implementation only supports the MuniRPC version 2 protocol (JOA3).
-     * Please note that there's no support for ZCLFrame's in a response from the backoffice and security levels 1 and 2 are
-     * not supported. <br/><br />
-     * ZigBee cluster specification: https://people.ece.cornell.edu/land/courses/ece4760/FinalProjects/s2011/kjb79_ajm232/pmeter/ZigBee%20Cluster%20Library.pdf
+     * Checks whether or not the given string is a valid (padded) base64 encoded string. <br/>
      *
-     * @class JOA
-     * @constructor
-     * @param {String} [url=https://joa3.munisense.net] An optional parameter used to set the backoffice url.
-     * @return {JOA} An object that can be used to communicate to the backoffice.
-     * @example 
-     JOA("https://joa3.munisense.net/debug/")
-     * Initialises the JOA object with the debug interface from the backoffice url. Note: when using the debug interface
-     * through this JOA object don't forget to set JOA.debug to true.
-    **/
-    var JOA = function (url) {
-        JOA.url = url || "https://joa3.munisense.net/";
-        return this;
-    };
+     * @method JOA.isBase64
+     * @param {String} str The string to check.
+     * @return {Boolean} True if the string is valid base64, false otherwise.
+     * @private
+     */
+    function isBase64(str) {
+        return typeof str === "string" && str.length % 4 === 0 &&
+            /^[A-Za-z0-9+\/]*={0,2}$/.test(str);
+    }
     /**
-     * Intialises the header fields in one go with an options object.<br/>
+     * Encodes an array of bytes (an Array, Uint8Array or Node Buffer) to a base64 string. <br/>
      *
-     * @param {Object} options Object containing all headers to be set.
-     * @method JOA.headers
-     * @example 
-     JOA.headers({
-        attribute: {
-                vendor: "debug4",
-                time: true,
-                hash: true,
-                secret: "simple_secret"
-            },
-        gatewayIdentifier: "1.2.80.90"
-        });
-    **/
-    function headers(obj) {
-        JOA.header = obj;
+     * @method JOA.base64Encode
+     * @param {Array} bytes The bytes to encode, each byte should be an integer from 0 to 255.
+     * @return {String} The base64 encoded bytes or null if one of the elements is not a byte.
+     * @private
+     */
+    function base64Encode(bytes) {
+        var i,
+            str = "";
+        for (i = 0; i < bytes.length; i += 1) {
+            if (bytes[i] !== (bytes[i] & 255)) {
+                return null;
+            }
+        }
+        //every three bytes are encoded in four characters of six bits each
+        for (i = 0; i < bytes.length; i += 3) {
+            var chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            str += base64Chars.charAt((chunk >> 18) & 63) + base64Chars.charAt((chunk >> 12) & 63);
+            str += i + 1 < bytes.length ? base64Chars.charAt((chunk >> 6) & 63) : "=";
+            str += i + 2 < bytes.length ? base64Chars.charAt(chunk & 63) : "=";
+        }
+        return str;
     }
     /**
-     * Tries to construct a valid header for the current message. <br />
-     * Note: valid, in this context, means that all required fields are set and the result 
-     * header string is constructed according to the specification, no validation is done
-     * on the values of the header fields.
+     * Decodes a (padded) base64 string to an array of bytes. <br/>
      *
-     * @param {Function} cb A callback function with an error and a result parameter.
-     * @method JOA.parseHeader
+     * @method JOA.base64Decode
+     * @param {String} str The base64 encoded string.
+     * @return {Array} The bytes or null if the string is not valid base64.
      * @private
-     * @example
-     parseHeader(function (err, header) {
-            if (err) {
-                console.log(err);
-            } else {
-                //we got a valid header!
-                console.log(header);
-            }
-        });
-    **/
-    function parseHeader(cb) {
+     */
+    function base64Decode(str) {
         var i,
-            headerStr = "",
-            headerAttributeKeys = Object.keys(header.attribute);
-        //gatewayIdentifier cannot be null if it is we fail to construct the header
-        if (JOA.header.gatewayIdentifier !== null && JOA.header.gatewayIdentifier.length > 0) {
-            //add the protocol and version indication to the header string
-            headerStr += protocolVersion;
-            //add the gatewayIdentifier
-            headerStr += JOA.header.gatewayIdentifier;
-            //loop through the attribute object and decide for each key if it has a value, if so we add
-            //it to the header string
-            for (i = 0; i < headerAttributeKeys.length; i += 1) {
-                var attributeKey = headerAttributeKeys[i],
-                    attributeValue = JOA.header.attribute[attributeKey];
-                //this if statement looks complicated, but it is not... the left part of this OR
-                //statement will check is de value is not null (default) and if so its length is
-                //greater than 0, now some of the header fields can also contain a boolean value
-                //instead of only a string value. So the right part of the or statement will check
-                //for that if we find a boolean value AND it is true we will concatenate it to the
-                //header string
-                if ((attributeValue !== null && attributeValue.length > 0) || attributeValue) {
-                    //if statement for the time header field, if time is set we omit the = char
-                    if (attributeKey === "time") {
-                        headerStr += ",time";
-                    //any other field except for the pre-shared secret and the hash gets added to the
-                    //header definition, note: the hash (if enabled) will be added later on
-                    //in parsePayload() function.
-                    } else if (attributeKey !== "secret" && attributeKey !== "hash") {
-                        headerStr += "," + attributeKey + "=" + attributeValue;
-                    }
-                }
+            bytes = [];
+        if (!isBase64(str)) {
+            return null;
+        }
+        for (i = 0; i < str.length; i += 4) {
+            var chunk = (base64Chars.indexOf(str.charAt(i)) << 18) | (base64Chars.indexOf(str.charAt(i + 1)) << 12) |
+                    (Math.max(base64Chars.indexOf(str.charAt(i + 2)), 0) << 6) |
+                    Math.max(base64Chars.indexOf(str.charAt(i + 3)), 0);
+            bytes.push((chunk >> 16) & 255);
+            if (str.charAt(i + 2) !== "=") {
+                bytes.push((chunk >> 8) & 255);
             }
-            //at last we're going to add a LF character to mark the header as complete
-            headerStr += char.eol;
-            //the final check is checking or the final string has a "vendor=" substring in it
-            //the vendor header attribute is mandatory
-            if (headerStr.indexOf("vendor=") !== -1) {
-                //callback with the result, all went well and we constructed a valid header
-                cb(null, headerStr);
-            } else {
-                //no vendor attribute set
-                cb("no_vendor_attribute_set", null);
+            if (str.charAt(i + 3) !== "=") {
+                bytes.push(chunk & 255);
             }
-        } else {
-            cb("no_gatewayidentifier_set", null);
         }
+        return bytes;
     }
     /**
-     * Will convert all message objects in the queue to a syntactically correct JOA message. <br/>
+     * The number of milliseconds between 1970-01-01 00:00:00 UTC and 2000-01-01 00:00:00 UTC, the latter is the
+     * epoch of the ZCL UTC time data type. <br/>
      *
-     * @method JOA.parseMessages
-     * @return {Array} An array consisting of all converted JOA messages.
+     * @property JOA.zclEpoch
+     * @type {Number}
      * @private
      */
-    function parseMessages() {
-        //setup an temp array which will hold all the new converted messages
-        var i,
-            j,
-            tmp = [];
-        //loop through all the messages
-        for (i = 0; i < messages.length; i += 1) {
-            var convertedMessage = "",
-                message = messages[i];
-            //before we do anything else we check if the message has a status property, this might indicate
-            //that it is a message that is being reused after begin returned from the backoffice, this status
-            //property we dont need
-            if(message.status) {
-                delete message.status;
-            }
-            //since every message can vary in number of field we need the number of keys in each object
-            var messageKeys = Object.keys(message);
-            //for each message key add it to the converted message
-            for (j = 0; j < messageKeys.length; j += 1) {
-                convertedMessage += message[messageKeys[j]] + char.tab;
-            }
-            //cut off the last tab char and instead add a eol char
-            convertedMessage = convertedMessage.slice(0, -1) + char.eol;
-            //add it to the temp array
-            tmp.push(convertedMessage);
-        }
-        //return the results as a string instead of an array and remove all the comma occurences
-        return tmp.toString().replace(new RegExp(",", "g"), "");
-    }
-    /**
-     * Generates an unique id for this particular instance of JOA. These id's will be used for messages.
-     * An id is a 32bit unsigned integer that is being kept track of and incremented each time this function is called. 
-     * This process is as suggested by the JOA specification.<br/>
-     *
-     * @method JOA.generateId
-     * @return {Integer} An incremented integer to be used as an id.
-     * @private
-     */
-    function generateId() {
-        messageId += 1;
-        return messageId;
-    }
-    /**
-     * Adds a custom object to the queue.<br/>
-     *
-     * @method JOA.addObject
-     */
-    function addObject(obj) {
-        messages.push(obj);
-    }
-    /**
-     * Adds a ZCL report to the message queue.
-     * The id and messageType fields are automatically being set for you and can be accessed once the method returns.
-     * All objects in the queue will be parsed to JOA3 messages upon calling post().
-     *
-     * @method JOA.addZCLReport
-     * @param {String} eui64 A 64bits address defined as an IEEE standard.
-     * @param {String} [endpointId=0x0a] When a single message device has multiple sensors of the same type, the endpointId
-     * can be used to enumerate the sensors. The range of allowed values is 1 to 239. The best value to use when only
-     * a single endpoint is used on a device is: 10 (0x0a). This field is also optional and when null is supplied 
-     * 0x0a will be used.
-     * @param {String} [profileId=0xf100] An optional ZigBee specific field, if null is supplied the default 0xf100 will be used.
-     * @param {String} clusterId clusters are an organizational unit of attributes of the same type. For example,
-     * all temperature related attributes are defined in clusterid: 1026 (0x0402). All cluster id's must be coordinated
-     * with Munisense before usage.
-     * @param {String} attributeId Attributes are the most specific fields defining a message. For example, the
-     * calibration value in the temperature cluster has an attributeid of 5 (0x005), has a unit in C (celsius) and has
-     * a data type int16s (0x29) and is presumed to be delivered with a scale factor of 0.01. Lists of definition are
-     * available from ZigBee specifications or vendor specific clusters can be defined coordinated with Munisense.
-     * @param {String} dataTypeId Each attribute has a fixed data type. Sending this value is an indication how values
-     * submitted should be handled and must be consistent throughout the implementation. Data types are defined in the
-     * ZigBee specification.
-     * @param {String} timestamp The timestamp is used to indicate the occurreence of a message. This value is a
-     * positive numerical value up to 48 bits in size indicating the number of milliseconds since 1970-01-01 00:00:00
-     * UTC, not adjusting for daylight savings time or leap seconds.
-     * @param {String} value The value is an ASCII representation of the reported value. The datatypeId indicates how
-     * a value should be notated:<br />
-     * - Integer (0x20-0x27, 0x28-0x2f): The value is numeric and optionally negative using a '-' minues
-     * indication in front of the value for signed values.<br />
-     * - Floating point (0x38-0x3a): Values are numeric, separating the integral and fractional parts with a '.' dot.<br />
-     * - Character/octet string (0x41-0x44): Value starting with one or two bytes indicating the length of the field
-     * completely encoded with base64.<br />
-     * - Boolean (0x10): 0 for false, 1 for true.<br />
-     * - Time (0xe2): This value is a positive numerical value up to 32bits in size indidcating the number of milliseconds
-     * since 2000-01-01 00:00:00 UTC, not adjusting for daylight savings time or leap seconds.<br />
-     * - Enumerations (0x30-0x31): Numeric value indicating an enumeration.
-     * @return {Object} The inserted ZCL report.
-     */
-    function addZCLReport(eui64, endpointId, profileId, clusterId, attributeId, dataTypeId, timestamp, value) {
-        var obj = {
-            id: generateId(),
-            messageType: messageType.ZCLReport,
-            eui64: eui64,
-            endpointId: endpointId || "0x0a",
-            profileId: profileId || "0xf100",
-            clusterId: clusterId,
-            attributeId: attributeId,
-            dataTypeId: dataTypeId,
-            timestamp: timestamp,
-            value: value
-        };
-        messages.push(obj);
-        return obj;
-    }
-    /**
-     * Adds a ZCL Multireport to the message queue.
-     * The id and messageType fields are automatically being set for you and can be accessed once the method returns.
-     * All objects in the queue will be parsed to JOA3 messages upon calling post().
-     *
-     * @method JOA.addZCLMultiReport
-     * @param {String} eui64 A 64bits address defined as an IEEE standard.
-     * @param {String} [endpointId=0x0a] When a single message device has multiple sensors of the same type, the endpointId
-     * can be used to enumerate the sensors. The range of allowed values is 1 to 239. The best value to use when only
-     * a single endpoint is used on a device is: 10 (0x0a). This field is also optional and when null is supplied 
-     * 0x0a will be used.
-     * @param {String} [profileId=0xf100] An optional ZigBee specific field, if null is supplied the default 0xf100 will be used.
-     * @param {String} clusterId Clusters are an organizational unit of attributes of the same type. For example,
-     * all temperature related attributes are defined in clusterid: 1026 (0x0402). All cluster id's must be coordinated
-     * with Munisense before usage.
-     * @param {String} attributeId Attributes are the most specific fields defining a message. For example, the
-     * calibration value in the temperature cluster has an attributeid of 5 (0x005), has a unit in C (celsius) and has
-     * a data type int16s (0x29) and is presumed to be delivered with a scale factor of 0.01. Lists of definition are
-     * available from ZigBee specifications or vendor specific clusters can be defined coordinated with Munisense.
-     * @param {String} dataTypeId Each attribute has a fixed data type. Sending this value is an indication how values
-     * submitted should be handled and must be consistent throughout the implementation. Data types are defined in the
-     * ZigBee specification.
-     * @param {String} timestamp The timestamp is used to indicate the occurreence of a message. This value is a
-     * positive numerical value up to 48 bits in size indicating the number of milliseconds since 1970-01-01 00:00:00
-     * UTC, not adjusting for daylight savings time or leap seconds.
-     * @param {String} offset The offset in this message type indicates the value between the timestamp and the following
-     * values. For each value the offset is added to the timestamp. The offset is in milliseconds. If the offset is a
-     * positive value, each value following the first will have a timestamp in the future in respect it previous value.
-     * When the offset is negative, each value following the first will have a timestamp in the past in respect it previous value.
-     * @param {Array} values An array containing the values in an ASCII representation of the reported values.
-     * The datatypeId indicates how a value should be notated:<br />
-     * - Integer (0x20-0x27, 0x28-0x2f): The value is numeric and optionally negative using a '-' minues
-     * indication in front of the value for signed values.<br />
-     * - Floating point (0x38-0x3a): Values are numeric, separating the integral and fractional parts with a '.' dot.<br />
-     * - Character/octet string (0x41-0x44): Value starting with one or two bytes indicating the length of the field
-     * completely encoded with base64.<br />
-     * - Boolean (0x10): 0 for false, 1 for true.<br />
-     * - Time (0xe2): This value is a positive numerical value up to 32bits in size indidcating the number of milliseconds
-     * since 2000-01-01 00:00:00 UTC, not adjusting for daylight savings time or leap seconds.<br />
-     * - Enumerations (0x30-0x31): Numeric value indicating an enumeration.
-     * @return {Object} The inserted ZCL Multireport.
-     */
-    function addZCLMultiReport(eui64, endpointId, profileId, clusterId, attributeId, dataTypeId, timestamp, offset, values) {
-        var obj = {
-            id: generateId(),
-            messageType: messageType.ZCLMultiReport,
-            eui64: eui64,
-            endpointId: endpointId || "0x0a",
-            profileId: profileId || "0xf100",
-            clusterId: clusterId,
-            attributeId: attributeId,
-            dataTypeId: dataTypeId,
-            timestamp: timestamp,
-            offset: offset,
-            //one does not simply pass an array into this message
-            //we convert it to a string with the commas replaced by tabs as specified
-            //by the protocol
-            values: values.toString().replace(new RegExp(",", "g"), char.tab)
-        };
-        messages.push(obj);
-        return obj;
-    }
-    /**
-     * Adds a ZCL command to the message queue.
-     * The id and messageType fields are automatically being set for you and can be accessed once the method returns.
-     * All objects in the queue will be parsed to JOA3 messages upon calling post().
-     *
-     * @method JOA.addZCLCommand
-     * @param {String} eui64 A 64bits address defined as an IEEE standard.
-     * @param {String} [endpointId=0x0a] When a single message device has multiple sensors of the same type, the endpointId
-     * can be used to enumerate the sensors. The range of allowed values is 1 to 239. The best value to use when only
-     * a single endpoint is used on a device is: 10 (0x0a). This field is also optional and when null is supplied 
-     * 0x0a will be used.
-     * @param {String} [profileId=0xf100] An optional ZigBee specific field, if null is supplied the default 0xf100 will be used.
-     * @param {String} clusterId Clusters are an organizational unit of attributes of the same type. For example,
-     * all temperature related attributes are defined in clusterid: 1026 (0x0402). All cluster id's must be coordinated
-     * with Munisense before usage.
-     * @param {String} isClusterSpecific A flag indicating 0 for false or 1 for true to indicate that a submitted 
-     * command is a ZigBee standard ZCL Command or a command defined for the specific use in a cluster.
-     * @param {String} commandId The command id is used to indicate what ZCL Command number is used for the submitted
-     * package. For example, a command indicating the switching of a light is CommandId: 0 (0x00) in the On/Off cluster.
-     * @param {String} timestamp The timestamp is used to indicate the occurreence of a message. This value is a
-     * positive numerical value up to 48 bits in size indicating the number of milliseconds since 1970-01-01 00:00:00
-     * UTC, not adjusting for daylight savings time or leap seconds.
-     * @param {String} value The value in an ASCII representation of the reported values.
-     * @return {Object} The inserted ZCL command.
-     */
-    function addZCLCommand(eui64, endpointId, profileId, clusterId, isClusterSpecific, commandId, timestamp, value) {
-        var obj = {
-            id: generateId(),
-            messageType: messageType.ZCLCommand,
-            eui64: eui64,
-            endpointId: endpointId || "0x0a",
-            profileId: profileId || "0xf100",
-            clusterId: clusterId,
-            isClusterSpecific: isClusterSpecific,
-            commandId: commandId,
-            timestamp: timestamp,
-            value: value
-        };
-        messages.push(obj);
-        return obj;
-    }
+    var zclEpoch = 946684800000;
     /**
-     * Clears all of the inserted messages. This function will also be invoked when a successful (iff) post() call was
-     * made. <br/>
+     * Checks whether or not the given value is a BigInt. <br/>
      *
-     * @method JOA.clearMessages
+     * @method JOA.isBigInt
+     * @param value The value to check.
+     * @return {Boolean} True if the value is a BigInt, false otherwise.
+     * @private
      */
-    function clearMessages() {
-        messages = [];
+    function isBigInt(value) {
+        return Object.prototype.toString.call(value) === "[object BigInt]";
     }
     /**
-     * Returns all the messages in the queue. <br/>
+     * Doubles a positive integer given as a string of decimals, this way powers of two that do not fit in a
+     * Javascript number can still be computed without relying on BigInt. <br/>
      *
-     * @method JOA.getMessages
-     * @return {[Object]} An array of Javascript objects.
+     * @method JOA.doubleDecimal
+     * @param {String} str The integer to double.
+     * @return {String} The doubled integer.
+     * @private
      */
-    function getMessages() {
-        return messages;
+    function doubleDecimal(str) {
+        var i,
+            carry = 0,
+            result = "";
+        for (i = str.length - 1; i >= 0; i -= 1) {
+            var digit = Number(str.charAt(i)) * 2 + carry;
+            result = (digit % 10) + result;
+            carry = digit >= 10 ? 1 : 0;
+        }
+        return carry ? "1" + result : result;
     }
     /**
-     * Gets a sinlge message from the queue. Does not remove the message. <br/>
+     * Compares two integers given as strings of decimals (optionally negative). <br/>
      *
-     * @param id The id of the message.
-     * @method JOA.getMessage
-     * @return {Object} A message object if one is found, an empty object otherwise.
+     * @method JOA.compareDecimals
+     * @param {String} a The first integer.
+     * @param {String} b The second integer.
+     * @return {Integer} -1 when a is smaller than b, 1 when a is greater than b and 0 when they are equal.
+     * @private
      */
-    function getMessage(id) {
-        var i;
-        for (i = 0; i < messages.length; i += 1) {
-            if (messages[i].id === id) {
-                return messages[i];
-            }
+    function compareDecimals(a, b) {
+        var negativeA = a.charAt(0) === "-",
+            negativeB = b.charAt(0) === "-",
+            absoluteA = negativeA ? a.slice(1) : a,
+            absoluteB = negativeB ? b.slice(1) : b,
+            result = 0;
+        if (negativeA !== negativeB) {
+            return negativeA ? -1 : 1;
         }
-        return {};
+        if (absoluteA.length !== absoluteB.length) {
+            result = absoluteA.length < absoluteB.length ? -1 : 1;
+        } else if (absoluteA !== absoluteB) {
+            result = absoluteA < absoluteB ? -1 : 1;
+        }
+        return negativeA ? -result : result;
     }
     /**
-     * Removes a sinlge message from the queue. <br/>
+     * Converts a number, BigInt or string to a string of decimals without leading zeros. <br/>
      *
-     * @param id The id of the message to be removed.
-     * @method JOA.removeMessage
-     * @return {Boolean} True if the message was removed, false otherwise.
+     * @method JOA.toIntegerString
+     * @param value The value to convert.
+     * @return {String} The integer as a string or null if the value is not an integer.
+     * @private
      */
-    function removeMessage(id) {
-        var i;
-        for (i = 0; i < messages.length; i += 1) {
-            if (messages[i].id === id) {
-                var obj = messages[i];
-                messages.splice(i, 1);
-                return true;
+    function toIntegerString(value) {
+        var str = null;
+        if (typeof value === "number") {
+            //numbers beyond the safe range have lost their precision, these should be given as a BigInt or string
+            if (value % 1 === 0 && Math.abs(value) <= 9007199254740991) {
+                str = value.toFixed(0);
             }
+        } else if (typeof value === "string" || isBigInt(value)) {
+            str = String(value);
+        }
+        if (str === null || !/^-?\d+$/.test(str)) {
+            return null;
         }
-        return false;
+        str = str.replace(/^(-?)0+(?=\d)/, "$1");
+        return str === "-0" ? "0" : str;
     }
     /**
-     * Checks wheter or not hashing is enabled in the header attributes.<br />
+     * Converts a number to its decimal notation, separating the integral and fractional parts with a '.' dot and
+     * never using an exponent. <br/>
      *
-     * @method JOA.isHashingEnabled
-     * @return {Boolean} True if hashing is enabled, the secret set and it's length greater than 0
-     * , false otherwise.
+     * @method JOA.toDecimalString
+     * @param {Number} value The number to convert.
+     * @return {String} The decimal notation of the number.
      * @private
-    **/
-    function isHashingEnabled() {
-        return JOA.header.attribute.hash &&
-            JOA.header.attribute.secret &&
-            JOA.header.attribute.secret.length > 0;
+     */
+    function toDecimalString(value) {
+        var str = String(value);
+        if (str.indexOf("e") === -1) {
+            return str;
+        }
+        if (Math.abs(value) < 1) {
+            return value.toFixed(20).replace(/\.?0+$/, "");
+        }
+        //every number this large is an integer
+        return typeof BigInt === "function" ? BigInt(value).toString() : value.toFixed(0);
     }
     /**
-     * Hashes the entire JOA payload with the secret that has been set in the header. <br/>
+     * Creates a data type for an unsigned or signed integer of the given amount of bits. Integers can be given as
+     * a number, BigInt or a string of decimals. <br/>
      *
-     * @method JOA.hashPayload
+     * @method JOA.integerType
+     * @param {String} name The name of the data type.
+     * @param {Integer} bits The size of the integer in bits.
+     * @param {Boolean} signed True for a signed integer, false for an unsigned integer.
+     * @return {Object} The data type.
      * @private
      */
-    function hashPayload(payload) {
-        //we get the first occurence of the eol in the header definition and there
-        //we will insert the generated hash header
-        var indexOfHashHeader = payload.indexOf(char.eol),
-            hash = JOA.md5(JOA.header.attribute.secret + payload),
-        //return the new payload with the appended hash header
-            payloadWithHash = payload.slice(0, indexOfHashHeader) + ",hash=" + hash + payload.slice(indexOfHashHeader);
-        //console.log(JSON.stringify(payloadWithHash));
-        return payloadWithHash;
+    function integerType(name, bits, signed) {
+        var i,
+            power = "1";
+        for (i = 0; i < (signed ? bits - 1 : bits); i += 1) {
+            power = doubleDecimal(power);
+        }
+        //a power of two never ends with a zero, so subtracting one only changes the last digit
+        var max = power.slice(0, -1) + (Number(power.slice(-1)) - 1),
+            min = signed ? "-" + power : "0";
+        return {
+            name: name,
+            encode: function (value) {
+                var str = toIntegerString(value);
+                if (str === null || compareDecimals(str, min) < 0 || compareDecimals(str, max) > 0) {
+                    return null;
+                }
+                return str;
+            }
+        };
     }
     /**
-     * Will construct a syntactically valid JOA payload, essentially this is a wrapper method. First it will
-     * parse the JOA headers followed by parsing the messages in the queue. Eventually, if all went well, it
-     * will return (trough a callback) a fully parsed JOA payload. If hash is set to true in the header attributes
-     * it will generate a hash too and append it to the payload. <br/>
+     * Creates a data type for a floating point number with the given maximum absolute value. Floating point values
+     * can be given as a number or a string in decimal notation. <br/>
      *
-     * @param {Function} cb A callback function with an error and a result parameter.
-     * @method JOA.parsePayload
+     * @method JOA.floatType
+     * @param {String} name The name of the data type.
+     * @param {Number} maxValue The largest absolute value the data type can hold.
+     * @return {Object} The data type.
      * @private
-     @example
-     parsePayload(function (err, payload) {
-            if (err) {
-                console.log(err);
-            } else {
-                //we did all the things right! we got a payload
-                console.log(payload);
-            }
-        });
      */
-    function parsePayload(cb) {
-        parseHeader(function (err, header) {
-            if (err) {
-                cb(err, null);
-            } else {
-                //if hash is disabled we will not hash the payload
-                if (!JOA.header.attribute.hash) {
-                    cb(null, header + parseMessages());
-                //else if the hash is enabled AND the secret is also set we will hash the payload
-                } else if (isHashingEnabled()) {
-                    cb(null, hashPayload(header + parseMessages()));
-                //in any other cases (which is only when the hash is enabled and no secret is set)
-                //we will return an error
-                } else {
-                    cb("no_secret_set", null);
+    function floatType(name, maxValue) {
+        return {
+            name: name,
+            encode: function (value) {
+                if (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value) && Math.abs(Number(value)) <= maxValue) {
+                    return value;
                 }
+                if (typeof value === "number" && isFinite(value) && Math.abs(value) <= maxValue) {
+                    return toDecimalString(value);
+                }
+                return null;
             }
-        });
+        };
     }
     /**
-     * Parses the result gotten from the backoffice. It will return an array containing all messages as 
-     * Javascript objects.<br/>
+     * Creates a data type for a character or octet string. A string is encoded as its UTF-8 bytes, the bytes can
+     * also be given as an Array, Uint8Array or Node Buffer. These are prefixed with their length and encoded with
+     * base64. An already encoded value is given as an object with a base64 property, which is only checked to be
+     * valid base64 with a length prefix that matches the bytes following it. <br/>
      *
-     * @param {String} str The response as gotton it from the backoffice.
-     * @method JOA.parseResponse
-     * @return {[Object]} An array containing objects. See example to see the format of the returned array.
+     * @method JOA.stringType
+     * @param {String} name The name of the data type.
+     * @param {Integer} lengthBytes The amount of bytes used to indicate the length, one or two.
+     * @return {Object} The data type.
      * @private
      */
-    function parseResponse(response) {
-        var splitResponse = response.split(char.eol),
-            tmp = [],
-            i,
-            j;
-        //we loop through all the splitResponse elements except for the last one
-        //we splitted on char.eol chars, each line in the respone ends with a eol char
-        //even the last one so to ignore the always empty last element of this array
-        //we reduce length with 1
-        for (i = 0; i < splitResponse.length - 1; i+= 1) {
-            var splitResponseMessage = splitResponse[i].split(char.tab);
-            var referencedMessagesIds = [];
-            //we build an array containing all the referenced message ids in this response message
-            //because the first and second elements are always an type and a status code we will
-            //set j to 2 as initial value, we skip over those elements (the rest are all referenced ids
-            //which we actually need)
-            for (j = 2; j < splitResponseMessage.length; j+= 1) {
-                referencedMessagesIds.push(splitResponseMessage[j]);
-            }
-            //now that we got all the data lets start creating the array to return
-            //check for the case we have a time attribute if so handle accordingly
-            var type = splitResponseMessage[0],
-                obj;
-            if(type !== "t") {
-                obj = {
-                    type: type,
-                    code: messageStatus[splitResponseMessage[1]],
-                    messages: referencedMessagesIds
-                };
-            } else {
-               obj = {
-                    type: type,
-                    timestamp: splitResponseMessage[1]
-                }; 
+    function stringType(name, lengthBytes) {
+        //the largest length value is reserved to indicate an invalid string
+        var maxLength = lengthBytes === 1 ? 254 : 65534;
+        function isEncoded(str) {
+            var bytes = base64Decode(str);
+            if (!bytes || bytes.length < lengthBytes) {
+                return false;
             }
-            //push the actual object into the tmp array
-            tmp.push(obj);
+            return (lengthBytes === 1 ? bytes[0] : bytes[0] | (bytes[1] << 8)) === bytes.length - lengthBytes &&
+                    bytes.length - lengthBytes <= maxLength;
         }
-        return tmp;
+        return {
+            name: name,
+            encode: function (value) {
+                var i,
+                    bytes;
+                if (value && typeof value.base64 === "string") {
+                    return isEncoded(value.base64) ? value.base64 : null;
+                }
+                if (typeof value === "string") {
+                    value = utf8Encode(value).split("").map(function (c) {
+                        return c.charCodeAt(0);
+                    });
+                }
+                if (!value || typeof value.length !== "number" || value.length > maxLength) {
+                    return null;
+                }
+                //the length is sent in little endian order like any other ZCL integer
+                bytes = lengthBytes === 1 ? [value.length] : [value.length & 255, value.length >> 8];
+                for (i = 0; i < value.length; i += 1) {
+                    bytes.push(value[i]);
+                }
+                return base64Encode(bytes);
+            },
+            isEncoded: isEncoded
+        };
     }
     /**
-     * Gets the status of a message based on a given parsed response. This parsed response should be
-     * an array containing all messages as Javascript objects.<br/>
+     * Creates a data type for a ZCL boolean, which can be given as a boolean, 0 or 1 (as a number or a string). <br/>
      *
-     * @param {Object} message The message (as an object) to check against a response.
-     * @param {[Object]} response The response.
-     * @method JOA.getMessageStatus
-     * @return {Object} An object containing the status of the message in the format in the example.
-     * @example
-     getMessageStatus(messageObj, respObj);
-     Returns:
-     {
-        nr: 200,
-        text: "OK",
-        description: "Message is received and processed."
-     }
+     * @method JOA.booleanType
+     * @param {String} name The name of the data type.
+     * @return {Object} The data type.
      * @private
      */
-    function getMessageStatus(message, response) {
-        var i, j,
-            defaultStatus = messageStatus[489];
-        for (i = 0; i < response.length; i += 1) {
-            //were only going to loop through status response messages and not timestamp messages
-            if(response[i].type === "s") {
-                var messageIds = response[i].messages;
-                for (j = 0; j < messageIds.length; j += 1) {
-                    if(message.id == messageIds[j]) {
-                        return response[i].code;
-                    }
+    function booleanType(name) {
+        return {
+            name: name,
+            encode: function (value) {
+                if (value === true || value === 1 || value === "1") {
+                    return "1";
                 }
-                //if messageIds is empty it means it is the most occuring message status from the
-                //response, if a status is the occuring in a response all the message ids will be
-                //omitted, so we have to save this status to later return this as the default case if a
-                //single message id is not found in none of the response objects
-                if(messageIds.length === 0) {
-                    defaultStatus = response[i].code;
+                if (value === false || value === 0 || value === "0") {
+                    return "0";
                 }
+                return null;
             }
-        }
-        //return the default status (the most occuring reponse status). Usually this is 200, but it
-        //can also be something different in some cases
-        return defaultStatus;
+        };
     }
     /**
-     * Determines all the successful messages in a certain response. All successful messages will also get
-     * their status appended to the object.<br/>
+     * Creates a data type for the ZCL UTC time, the number of seconds since 2000-01-01 00:00:00 UTC. The time can
+     * be given as a Date or as the number of seconds itself. <br/>
      *
-     * @param {Object} messages The messages (as an array of objects) to check against a response.
-     * @param {[Object]} response The response as gotton it from the backoffice.
-     * @method JOA.getSuccessfulMessages
-     * @return {[Object]} An array containing all the messages that came back with a 200 (OK) status.
+     * @method JOA.utcType
+     * @param {String} name The name of the data type.
+     * @return {Object} The data type.
      * @private
      */
-    function getSuccessfulMessages(messages, response) {
-        var i,
-            tmp = [];
-        for (i = 0; i < messages.length; i += 1) {
-            var msgStatus = getMessageStatus(messages[i], response);
-            if(msgStatus.code === 200) {
-                messages[i].status = msgStatus;
-                tmp.push(messages[i]);
+    function utcType(name) {
+        var seconds = integerType(name, 32, false);
+        return {
+            name: name,
+            encode: function (value) {
+                if (value instanceof Date) {
+                    value = Math.floor((value.getTime() - zclEpoch) / 1000);
+                }
+                return seconds.encode(value);
             }
+        };
+    }
+    /**
+     * The registry of ZCL data types, keyed by their data type id. Each data type has a name and an encode function
+     * which validates a value and returns its ASCII representation, or null when the value does not fit the data type.
+     * A data type whose ASCII representation is not the value itself, like a string, also has an isEncoded function
+     * which checks a representation when a message is validated. Values of data types that are not in the registry
+     * are sent as they are given. Custom data types can be added to this registry. <br/>
+     *
+     * @property JOA.dataTypes
+     * @type {Object}
+     * @example
+     JOA.dataTypes["0x20"].encode(255); //returns "255"
+     JOA.dataTypes["0x20"].encode(256); //returns null
+    **/
+    var dataTypes = {
+        "0x10": booleanType("boolean"),
+        "0x18": integerType("bitmap8", 8, false),
+        "0x19": integerType("bitmap16", 16, false),
+        "0x1a": integerType("bitmap24", 24, false),
+        "0x1b": integerType("bitmap32", 32, false),
+        "0x1c": integerType("bitmap40", 40, false),
+        "0x1d": integerType("bitmap48", 48, false),
+        "0x1e": integerType("bitmap56", 56, false),
+        "0x1f": integerType("bitmap64", 64, false),
+        "0x20": integerType("uint8", 8, false),
+        "0x21": integerType("uint16", 16, false),
+        "0x22": integerType("uint24", 24, false),
+        "0x23": integerType("uint32", 32, false),
+        "0x24": integerType("uint40", 40, false),
+        "0x25": integerType("uint48", 48, false),
+        "0x26": integerType("uint56", 56, false),
+        "0x27": integerType("uint64", 64, false),
+        "0x28": integerType("int8", 8, true),
+        "0x29": integerType("int16", 16, true),
+        "0x2a": integerType("int24", 24, true),
+        "0x2b": integerType("int32", 32, true),
+        "0x2c": integerType("int40", 40, true),
+        "0x2d": integerType("int48", 48, true),
+        "0x2e": integerType("int56", 56, true),
+        "0x2f": integerType("int64", 64, true),
+        "0x30": integerType("enum8", 8, false),
+        "0x31": integerType("enum16", 16, false),
+        "0x38": floatType("semi", 65504),
+        "0x39": floatType("single", 3.4028234663852886e38),
+        "0x3a": floatType("double", Number.MAX_VALUE),
+        "0x41": stringType("octstr", 1),
+        "0x42": stringType("string", 1),
+        "0x43": stringType("octstr16", 2),
+        "0x44": stringType("string16", 2),
+        "0xe2": utcType("UTC")
+    };
+    /**
+     * Encodes a value to its ASCII representation according to the given data type. The data type id can be given as
+     * a string (for example "0x20") or as a number (0x20). Empty values are left as they are, the backoffice copies
+     * these from the previous message, just like values of a data type that is not in JOA.dataTypes.<br/>
+     *
+     * @method JOA.encodeValue
+     * @param {String|Number} dataTypeId The id of the data type.
+     * @param {String|Number|BigInt|Boolean|Date|Array} value The value to encode.
+     * @return {String} The encoded value or null if the value is not valid for the data type.
+     * @example
+     JOA.encodeValue("0x29", -2150); //returns "-2150"
+     JOA.encodeValue("0x10", true); //returns "1"
+     JOA.encodeValue("0x42", [104, 105]); //returns "Amhp"
+     JOA.encodeValue("0x42", "hi"); //returns "Amhp"
+    **/
+    function encodeValue(dataTypeId, value) {
+        var dataType = getDataType(dataTypeId);
+        if (!dataType || value === "") {
+            return value;
         }
-        return tmp;
+        return dataType.encode(value);
     }
     /**
-     * Determines all the failed messages in a certain response. All failed messages will also get
-     * their status appended to the object. <br/>
+     * Looks up a data type in JOA.dataTypes, the data type id can be given as a string or as a number. <br/>
      *
-     * @param {Object} messages The messages (as an array of objects) to check against a response.
-     * @param {[Object]} response The response as gotton it from the backoffice.
-     * @method JOA.getFailedMessages
-     * @return {[Object]} An array containing all the messages that came back with anything other
-     * then a 200 (OK) status.
+     * @method JOA.getDataType
+     * @param {String|Number} dataTypeId The id of the data type.
+     * @return {Object} The data type or undefined when it is not in the registry.
      * @private
      */
-    function getFailedMessages(messages, response) {
-        var i,
-            tmp = [];
-        for (i = 0; i < messages.length; i += 1) {
-            var msgStatus = getMessageStatus(messages[i], response);
-            if(msgStatus.code !== 200) {
-                messages[i].status = msgStatus;
-                tmp.push(messages[i]);
-            }
+    function getDataType(dataTypeId) {
+        return dataTypes[typeof dataTypeId === "number" ? "0x" + ("0" + dataTypeId.toString(16)).slice(-2) :
+                String(dataTypeId).toLowerCase()];
+    }
+    /**
+     * Checks whether or not a value of a message is a valid ASCII representation of its data type, as it is
+     * sent. <br/>
+     *
+     * @method JOA.isEncodedValue
+     * @param {String|Number} dataTypeId The id of the data type.
+     * @param value The value of the message.
+     * @return {Boolean} True if the value can be sent, false otherwise.
+     * @private
+     */
+    function isEncodedValue(dataTypeId, value) {
+        var dataType = getDataType(dataTypeId);
+        if (!dataType) {
+            return true;
         }
-        return tmp;
+        return dataType.isEncoded ? dataType.isEncoded(value) : dataType.encode(value) !== null;
     }
     /**
-     * Posts a constructed JOA payload to the user given url.<br>
-     * Note: this method only resets the message id counter is the object is cleared of
-     * all messages, whenever it has message after a post action it will continue to use
-     * the current counter.
-     *
-     * @method JOA.post
-     * @param {Object} [options] An options object to use while posting. These options are available:<br>
-     * - clear {Boolean}: Set to true when the JOA object should be cleared upon a successful post action.<br>
-     * - clearOnlySuccess {Boolean}: Removes all the succes (ack-ed) messages but keeps the failed messages in
-     * the message queue, ready to be resent.<br>
-     * - resetMessageIdsTo {Integer}: An number to reset the message id counter to whenever the post successfully
-     * posts to the backoffice. 0 is default.
-     * @param {Function} [cb] A function used to call back to whenever the HTTP post finishes. It has
-     * an error, response and messages parameters. The response and messages parameters are objects.
-     * The response object consist of a raw and a parsed property. The raw property will output data as
-     * it was returned by the backoffice. The parsed property will evaluate the raw data and return
-     * Javascript objects, which are easily read. The message object has the same two properties, only
-     * the parsed property is also an object. Consisting of success, failed and
-     * all properties. They contain the 'ack-ed' messages, 'not ack-ed' messages and an array containing
-     * all messages. For an example of this method see 'Examples'.
-     * @example
-     JOA.post({
-        clear: true,
-        clearOnlySuccess: true,
-        resetMessageIdsTo: 1080
-     }, function(err, response, messages) {
-            if(err) {
-                //something went wrong, the header could of returned an error or
-                //the actual request failed.
-                console.log(err);
-            }
-            if(response) {
-                //we got a response from the server
-                console.log(response);
-                //these are the messages that were raw and sent to the backoffice
-                console.log(messages.raw);
-            }
-        });
+     * Creates the error for a value that is not valid for its data type. <br/>
+     *
+     * @method JOA.invalidValueError
+     * @param {String} field The name of the field containing the value.
+     * @param value The invalid value.
+     * @return {JoaValidationError} An invalid_value error with the 487 (Invalid Value) status.
+     * @private
      */
-    function post(options, cb) {
-        parsePayload(function (err, payload) {
-            if (err) {
-                cb(err, null, null);
-            } else {
-                //make the ajax call
-                var http = new XMLHttpRequest(),
-                    params = "";
-                http.open("POST", JOA.url, true);
-                //is debugging enabled, if so change the params and request headers accordingly
-                if (JOA.debug) {
-                    http.responseType = "document";
-                    http.setRequestHeader("Content-type", "application/x-www-form-urlencoded");
-                    params = "joa3[ip]=0.0.0.0&joa3[url]=https://joa3.munisense.net/&joa3[body]=" + payload;
-                } else {
-                    http.setRequestHeader("Content-type", "text/plain;charset=UTF-8");
-                    params = payload;
-                }
-                //call a function when the state changes
-                http.onreadystatechange = function () {
-                    if (http.readyState === XMLHttpRequest.DONE) {
-                        if (http.status === 200) {
-                            var messagesRaw = parseMessages(),
-                                msgs = getMessages(),
-                                //decide what to return based on the debug flag
-                                respRaw = JOA.debug ? http.response.getElementsByTagName("pre")[0].innerHTML : http.responseText,
-                                respParsed = parseResponse(respRaw),
-                                sucmsgs = getSuccessfulMessages(msgs, respParsed),
-                                failmsgs = getFailedMessages(msgs, respParsed);
-                            //if all went well and the clear param is set to true
-                            //we clear the messages and make a callback
-                            if(options && options.clear) {
-                                clearMessages();
-                            }
-                            //if the option is set to only clear the success messages, we reset the JOA.messages property
-                            //with the failed messages
-                            if(options && options.clearOnlySuccess) {
-                                messages = failmsgs;
-                            }
-                            
-                            //reset message id counter only when all messages are cleared, otherwise we might
-                            //run into duplicate id's
-                            if(getMessages().length === 0)
-                                messageId = (options && options.resetMessageIdsTo) || 0;
-                            if(cb) {
-                                cb(null, {raw: respRaw, parsed: respParsed}, 
-                                   {raw: messagesRaw, parsed: {success: sucmsgs, failed: failmsgs, all: msgs}});
-                            }
-                        //this else block responsibility is only to make a callback, so we can check that in the
-                        //else if statement if the function actually exists
-                        } else if(cb) {
-                            cb({code: http.status, text: http.statusText}, null, null);
-                        }
-                    }
-                };
-                http.send(params);
-            }
+    function invalidValueError(field, value) {
+        return new JoaValidationError("invalid_value", "The value " + value + " is not valid for its data type.", {
+            field: field,
+            status: messageStatus[487]
         });
     }
     /**
-     * A representation of the object in the format of a parsed JOA payload (see also 'Example'
-     * in the JOA specification document). 
-     * It could also contain errors, if, for example, the header couldn't be contructed this
-     * toString() function will output the error message instead of the payload.<br />
+     * Creates the error for a field that contains a TAB, LF or CR char (see JOA.hasFramingCharacter()). <br/>
      *
-     * @method JOA.toString
-     * @return {String} A string based representation of a JOA payload.
+     * @method JOA.invalidCharacterError
+     * @param {String} field The name of the field.
+     * @param {Integer} [messageId] The id of the message, whenever it is known.
+     * @return {JoaValidationError} An invalid_character error with the 487 (Invalid Value) status.
+     * @private
+     */
+    function invalidCharacterError(field, messageId) {
+        return new JoaValidationError("invalid_character", "The " + field + (messageId ? " of message " + messageId : "") +
+                " contains a TAB or line break, which can not be sent.", {
+            field: field,
+            messageId: messageId,
+            status: messageStatus[487]
+        });
+    }
+    /**
+     * A catalogue of common ZCL clusters by name, so reports can be added without looking up ids (see JOA.report()).
+     * Each cluster has an id, the profileId its reports are sent with and its attributes by name. Each attribute has
+     * an id, a dataType, a unit and either a scale, the raw value is the value divided by the scale, or a convert
+     * function returning the raw value.<br/>
+     * The Munisense specific clusters of the 0xf100 profile are NOT in this catalogue: their ids, attributes and
+     * scaling are coordinated with Munisense per project and are not published anywhere this client could take them
+     * from, so JOA.report() throws an unknown_attribute error for them. Add them (or any other cluster) to this
+     * object in the same format, the example below shows the format with made up ids.<br/>
+     *
+     * @property JOA.clusters
+     * @type {Object}
+     * @example
+     //a made up vendor cluster, use the ids coordinated with Munisense
+     JOA.clusters.soundLevel = {
+        id: "0xff01",
+        profileId: "0xf100",
+        attributes: {
+            measuredValue: {id: "0x0000", dataType: "0x29", scale: 0.01, unit: "dB"}
+        }
+     };
     **/
-    function toString() {
-        var ret = null;
-        parsePayload(function (err, payload) {
-            if (err) {
-                ret = err;
-            } else {
-                ret = payload;
+    var clusters = {
+        basic: {
+            id: "0x0000",
+            profileId: "0xf100",
+            attributes: {
+                zclVersion: {id: "0x0000", dataType: "0x20"},
+                applicationVersion: {id: "0x0001", dataType: "0x20"},
+                stackVersion: {id: "0x0002", dataType: "0x20"},
+                hardwareVersion: {id: "0x0003", dataType: "0x20"},
+                manufacturerName: {id: "0x0004", dataType: "0x42"},
+                modelIdentifier: {id: "0x0005", dataType: "0x42"},
+                dateCode: {id: "0x0006", dataType: "0x42"},
+                powerSource: {id: "0x0007", dataType: "0x30"}
+            }
+        },
+        powerConfiguration: {
+            id: "0x0001",
+            profileId: "0xf100",
+            attributes: {
+                mainsVoltage: {id: "0x0000", dataType: "0x21", scale: 0.1, unit: "V"},
+                mainsFrequency: {id: "0x0001", dataType: "0x20", scale: 2, unit: "Hz"},
+                batteryVoltage: {id: "0x0020", dataType: "0x20", scale: 0.1, unit: "V"},
+                batteryPercentageRemaining: {id: "0x0021", dataType: "0x20", scale: 0.5, unit: "%"}
+            }
+        },
+        illuminanceMeasurement: {
+            id: "0x0400",
+            profileId: "0xf100",
+            attributes: {
+                //the measured value is logarithmic: 10000 * log10(illuminance) + 1
+                measuredValue: {id: "0x0000", dataType: "0x21", unit: "lx", convert: function (lux) {
+                    return lux > 0 ? Math.min(0xfffe, Math.round(10000 * Math.log(lux) / Math.LN10 + 1)) : 0;
+                }},
+                minMeasuredValue: {id: "0x0001", dataType: "0x21"},
+                maxMeasuredValue: {id: "0x0002", dataType: "0x21"}
+            }
+        },
+        temperatureMeasurement: {
+            id: "0x0402",
+            profileId: "0xf100",
+            attributes: {
+                measuredValue: {id: "0x0000", dataType: "0x29", scale: 0.01, unit: "\u00b0C"},
+                minMeasuredValue: {id: "0x0001", dataType: "0x29", scale: 0.01, unit: "\u00b0C"},
+                maxMeasuredValue: {id: "0x0002", dataType: "0x29", scale: 0.01, unit: "\u00b0C"},
+                tolerance: {id: "0x0003", dataType: "0x21", scale: 0.01, unit: "\u00b0C"}
+            }
+        },
+        pressureMeasurement: {
+            id: "0x0403",
+            profileId: "0xf100",
+            attributes: {
+                measuredValue: {id: "0x0000", dataType: "0x29", scale: 0.1, unit: "kPa"},
+                minMeasuredValue: {id: "0x0001", dataType: "0x29", scale: 0.1, unit: "kPa"},
+                maxMeasuredValue: {id: "0x0002", dataType: "0x29", scale: 0.1, unit: "kPa"},
+                tolerance: {id: "0x0003", dataType: "0x21", scale: 0.1, unit: "kPa"}
+            }
+        },
+        relativeHumidityMeasurement: {
+            id: "0x0405",
+            profileId: "0xf100",
+            attributes: {
+                measuredValue: {id: "0x0000", dataType: "0x21", scale: 0.01, unit: "%"},
+                minMeasuredValue: {id: "0x0001", dataType: "0x21", scale: 0.01, unit: "%"},
+                maxMeasuredValue: {id: "0x0002", dataType: "0x21", scale: 0.01, unit: "%"},
+                tolerance: {id: "0x0003", dataType: "0x21", scale: 0.01, unit: "%"}
+            }
+        },
+        occupancySensing: {
+            id: "0x0406",
+            profileId: "0xf100",
+            attributes: {
+                occupancy: {id: "0x0000", dataType: "0x18"},
+                occupancySensorType: {id: "0x0001", dataType: "0x30"}
+            }
+        },
+        metering: {
+            id: "0x0702",
+            profileId: "0xf100",
+            attributes: {
+                currentSummationDelivered: {id: "0x0000", dataType: "0x25"},
+                currentSummationReceived: {id: "0x0001", dataType: "0x25"},
+                unitOfMeasure: {id: "0x0300", dataType: "0x30"},
+                multiplier: {id: "0x0301", dataType: "0x22"},
+                divisor: {id: "0x0302", dataType: "0x22"},
+                instantaneousDemand: {id: "0x0400", dataType: "0x2a"}
+            }
+        }
+    };
+    /**
+     * Looks up a cluster attribute in the catalogue by its name. <br/>
+     *
+     * @method JOA.resolveAttribute
+     * @param {String} name The name of the cluster and the attribute separated by a dot, like
+     * temperatureMeasurement.measuredValue.
+     * @return {Object} An object with the cluster and attribute, or null when the catalogue has no such attribute.
+     * @private
+     */
+    function resolveAttribute(name) {
+        var parts = String(name).split("."),
+            cluster = parts.length === 2 && clusters.hasOwnProperty(parts[0]) ? clusters[parts[0]] : null;
+        if (!cluster || !cluster.attributes.hasOwnProperty(parts[1])) {
+            return null;
+        }
+        return {
+            cluster: cluster,
+            attribute: cluster.attributes[parts[1]]
+        };
+    }
+    /**
+     * Converts a value in the unit of an attribute to the raw value that is reported. Only numbers are converted, any
+     * other value is left to JOA.encodeValue(). <br/>
+     *
+     * @method JOA.toRawValue
+     * @param {Object} attribute The attribute from the catalogue.
+     * @param value The value.
+     * @return The raw value.
+     * @private
+     */
+    function toRawValue(attribute, value) {
+        if (typeof value !== "number") {
+            return value;
+        }
+        if (attribute.convert) {
+            return attribute.convert(value);
+        }
+        return attribute.scale ? Math.round(value / attribute.scale) : value;
+    }
+    /**
+     * The largest value of each hexadecimal id field. <br/>
+     *
+     * @property JOA.hexFields
+     * @type {Object}
+     * @private
+     */
+    var hexFields = {
+        endpointId: 0xef,
+        profileId: 0xffff,
+        clusterId: 0xffff,
+        attributeId: 0xffff,
+        dataTypeId: 0xff,
+        commandId: 0xff
+    };
+    /**
+     * Checks whether or not a value is a non negative integer, either as a number or as a string of digits, that is
+     * not larger than a maximum. <br/>
+     *
+     * @method JOA.isUnsignedInteger
+     * @param value The value to check.
+     * @param {Number} max The maximum.
+     * @return {Boolean} True if the value is a non negative integer up to the maximum, false otherwise.
+     * @private
+     */
+    function isUnsignedInteger(value, max) {
+        return (typeof value === "number" || (typeof value === "string" && /^[0-9]+$/.test(value))) &&
+            Number(value) % 1 === 0 && Number(value) >= 0 && Number(value) <= max;
+    }
+    /**
+     * Checks a single field of a message. <br/>
+     *
+     * @method JOA.validateField
+     * @param {Object} message The message.
+     * @param {String} field The name of the field.
+     * @return {Object} A problem as described at JOA.validateMessage() or null when the field is valid.
+     * @private
+     */
+    function validateField(message, field) {
+        var value = message[field],
+            command = Number(message.messageType) === messageType.ZCLCommand,
+            values,
+            i;
+        function problem(code, status, description) {
+            return {
+                messageId: message.id,
+                field: field,
+                value: value,
+                code: code,
+                status: messageStatus[status],
+                message: "The " + field + " " + description + "."
+            };
+        }
+        if (value === undefined || value === null || value === "") {
+            //an optional field may have no value, any other empty field is copied from the previous message of the
+            //same type by the backoffice
+            return messageSchemas[message.messageType].optional.indexOf(field) !== -1 ||
+                    (value === "" && isCompressible(field, messageSchemas[message.messageType])) ? null :
+                    problem("missing_field", 485, "field has no value");
+        }
+        //the elements of a repeated field may also be given as a single string, separated by TAB chars
+        if (hasFramingCharacter(field === messageSchemas[message.messageType].repeated && !Array.isArray(value) ?
+                String(value).split(char.tab) : value)) {
+            return problem("invalid_character", 487, "contains a TAB or line break, which can not be sent");
+        }
+        if (hexFields.hasOwnProperty(field)) {
+            if (typeof value !== "string" || !/^0x[0-9a-f]{1,4}$/i.test(value) || parseInt(value, 16) > hexFields[field] ||
+                    (field === "endpointId" && parseInt(value, 16) === 0)) {
+                return problem("invalid_" + field, 487, "must be a hexadecimal id up to 0x" +
+                        hexFields[field].toString(16));
+            }
+            return null;
+        }
+        switch (field) {
+        case "eui64":
+            return typeof value === "string" && /^[0-9a-f]{4}(:[0-9a-f]{4}){3}$/i.test(value) ? null :
+                    problem("invalid_eui64", 487, "must be formatted as xxxx:xxxx:xxxx:xxxx");
+        case "timestamp":
+            return isUnsignedInteger(value, Math.pow(2, 48) - 1) ? null :
+                    problem("invalid_timestamp", 487, "must be a number of milliseconds up to 48 bits");
+        case "offset":
+            //a negative offset means the values are in reverse chronological order
+            return isUnsignedInteger(typeof value === "string" ? value.replace(/^-/, "") : Math.abs(value),
+                    Math.pow(2, 48) - 1) && Number(value) !== 0 ? null :
+                    problem("invalid_offset", 486, "must be a non zero number of milliseconds");
+        case "isClusterSpecific":
+            return value === 0 || value === 1 || value === "0" || value === "1" ? null :
+                    problem("invalid_isClusterSpecific", 487, "must be 0 or 1");
+        case "value":
+            if (command) {
+                return isBase64(value) ? null : problem("invalid_value", 487, "must be base64 encoded");
+            }
+            return isEncodedValue(message.dataTypeId, value) ? null :
+                    problem("invalid_value", 487, "is not valid for data type " + message.dataTypeId);
+        case "values":
+            values = Array.isArray(value) ? value : String(value).split(char.tab);
+            for (i = 0; i < values.length; i += 1) {
+                if (values[i] === "" || !isEncodedValue(message.dataTypeId, values[i])) {
+                    return problem("invalid_value", 487, "contain " + (values[i] === "" ? "an empty value" :
+                            values[i] + " which is not valid for data type " + message.dataTypeId));
+                }
             }
+            return null;
+        }
+        return null;
+    }
+    /**
+     * Checks a message before it is sent, so the problems the backoffice would respond with (status 480 up to 487)
+     * are found locally. It checks the id, the message type, the fields of the message type (see JOA.messageSchemas)
+     * and the format of every field: eui64 addresses formatted as xxxx:xxxx:xxxx:xxxx, hexadecimal endpoint, profile, cluster,
+     * attribute, data type and command ids, timestamps in milliseconds, an isClusterSpecific flag of 0 or 1, non zero
+     * offsets, values that are valid for their data type and base64 encoded command values. A field that is
+     * an empty string is accepted wherever the backoffice copies it from the previous message (see JOA.compress).
+     * <br/>
+     *
+     * @method JOA.validateMessage
+     * @param {Object} message The message to check.
+     * @return {[Object]} An array of problems, empty when the message is valid. Each problem has a messageId, field,
+     * value, code (like invalid_eui64), status (the message status the backoffice would respond with) and a message
+     * property.
+     * @example
+         JOA.validateMessage({id: 1, messageType: 0, eui64: "f104"});
+         //[{messageId: 1, field: "eui64", code: "invalid_eui64", status: {code: 487, ...}, ...}, ...]
+     */
+    function validateMessage(message) {
+        var problems = [],
+            schema,
+            layout,
+            i;
+        function problem(field, code, status, description) {
+            problems.push({
+                messageId: message.id,
+                field: field,
+                value: message[field],
+                code: code,
+                status: messageStatus[status],
+                message: description
+            });
+        }
+        if (!isUnsignedInteger(message.id, defaultIdAllocation.max) || Number(message.id) === 0) {
+            problem("id", "invalid_id", 481, "The id must be a positive 32 bit integer.");
+        }
+        if (message.messageType === undefined || message.messageType === null || message.messageType === "") {
+            problem("messageType", "missing_messageType", 480, "The message has no message type.");
+            return problems;
+        }
+        schema = messageSchemas[message.messageType];
+        if (!schema) {
+            problem("messageType", "invalid_messageType", 483, "The message type " + message.messageType +
+                    " is not valid.");
+            return problems;
+        }
+        //the fields that end up on the line, any other property of the message is not written
+        layout = schema.repeated ? schema.fields.concat([schema.repeated]) : schema.fields;
+        for (i = 0; i < layout.length; i += 1) {
+            if (!message.hasOwnProperty(layout[i])) {
+                problem(layout[i], "missing_field", 484, "The field " + layout[i] + " is missing.");
+            } else if (layout[i] !== "id" && layout[i] !== "messageType") {
+                var fieldProblem = validateField(message, layout[i]);
+                if (fieldProblem) {
+                    problems.push(fieldProblem);
+                }
+            }
+        }
+        return problems;
+    }
+    /**
+     * Creates the error for a message with problems. <br/>
+     *
+     * @method JOA.invalidMessageError
+     * @param {[Object]} problems The problems of the message, see JOA.validateMessage().
+     * @return {JoaValidationError} An invalid_message error with the field and status of the first problem and all
+     * problems in its problems property.
+     * @private
+     */
+    function invalidMessageError(problems) {
+        return new JoaValidationError("invalid_message", problems[0].message, {
+            field: problems[0].field,
+            messageId: problems[0].messageId,
+            status: problems[0].status,
+            problems: problems
         });
-        return ret;
     }
     /**
-     * Returns the hash of the current JOA object and it's parsed messages.<br />
+     * The default options of the validation of a client (see JOA.validation).<br/>
+     * - mode {String}: "strict" to refuse invalid messages or "lenient" to only report them with the message:invalid
+     * event.<br/>
+     * - on {String}: "add" to check every message when it is added to the queue or "serialize" to check the messages
+     * when the payload is constructed.
      *
-     * @method JOA.toHash
-     * @return {String} The hash that will be appended to the header definition.
+     * @property JOA.defaultValidation
+     * @type {Object}
     **/
-    function toHash() {
-        var ret = null;
-        parsePayload(function (err, payload) {
+    var defaultValidation = {
+        mode: "strict",
+        on: "add"
+    };
+    /**
+     * Checks whether or not a message field can be left empty when it is equal to the same field in the previous
+     * message. The id and message type are needed to identify the message and the values of a multireport vary in
+     * number, so these can never be copied. An optional field that is empty has no value, like a command without a
+     * payload, so it can never be copied either. <br/>
+     *
+     * @method JOA.isCompressible
+     * @param {String} field The name of the field.
+     * @param {Object} schema The schema of the message type (see JOA.messageSchemas).
+     * @return {Boolean} True if the field can be left empty, false otherwise.
+     * @private
+     */
+    function isCompressible(field, schema) {
+        return field !== "id" && field !== "messageType" && field !== "values" && schema.optional.indexOf(field) === -1;
+    }
+    /**
+     * Checks whether or not a value contains a character of the framing of a payload. Fields are separated by a TAB
+     * char and messages by a LF char, the protocol has no way to escape these, so a value containing a TAB, LF or CR
+     * char can not be sent. Any other character, like a comma, is sent as it is. <br/>
+     *
+     * @method JOA.hasFramingCharacter
+     * @param value The value of a field, or an array of elements of a repeated field.
+     * @return {Boolean} True if the value (or one of its elements) contains a TAB, LF or CR char, false otherwise.
+     * @private
+     */
+    function hasFramingCharacter(value) {
+        var i;
+        if (Array.isArray(value)) {
+            for (i = 0; i < value.length; i += 1) {
+                if (hasFramingCharacter(value[i])) {
+                    return true;
+                }
+            }
+            return false;
+        }
+        return value !== undefined && value !== null && /[\t\r\n]/.test(String(value));
+    }
+    /**
+     * Decodes the header line of a JOA payload (the header definition without the LF char). <br/>
+     *
+     * @method JOA.decodeHeader
+     * @param {String} line The header line.
+     * @param {Function} cb A callback function with an error and a result parameter.
+     * @private
+     */
+    function decodeHeader(line, cb) {
+        var i,
+            parts,
+            attribute = {};
+        if (line.indexOf(protocolVersion) !== 0) {
+            cb(new JoaProtocolError("invalid_protocol_version", null, {field: "protocolVersion"}), null);
+            return;
+        }
+        //the gateway identifier is followed by a comma separated list of attributes
+        parts = line.slice(protocolVersion.length).split(",");
+        if (parts[0].length === 0) {
+            cb(new JoaProtocolError("no_gatewayidentifier_set", null, {field: "gatewayIdentifier"}), null);
+            return;
+        }
+        for (i = 1; i < parts.length; i += 1) {
+            var separator = parts[i].indexOf("=");
+            //an attribute without a value (like time) is a flag
+            if (separator === -1) {
+                attribute[parts[i]] = true;
+            } else {
+                attribute[parts[i].slice(0, separator)] = parts[i].slice(separator + 1);
+            }
+        }
+        if (!attribute.vendor) {
+            cb(new JoaProtocolError("no_vendor_attribute_set", null, {field: "attribute.vendor"}), null);
+            return;
+        }
+        cb(null, {
+            attribute: attribute,
+            gatewayIdentifier: parts[0]
+        });
+    }
+    /**
+     * Decodes a single message line of a JOA payload to a message object. The fields of a known message type are
+     * named after the message type layout, the values of a ZCL Multireport are returned as an array. A message
+     * of an unknown type will have all fields following the message type in a fields array. Empty fields are
+     * copied from the previous message of the same type, if there is one. <br/>
+     *
+     * @method JOA.decodeMessage
+     * @param {String} line The message line.
+     * @param {Object} [previous] The previously decoded message of the same type.
+     * @param {Function} cb A callback function with an error and a result parameter.
+     * @private
+     */
+    function decodeMessage(line, previous, cb) {
+        var i,
+            elements = line.split(char.tab),
+            schema = messageSchemas[elements[1]],
+            fields = schema && schema.fields,
+            obj = {};
+        if (elements.length < 2) {
+            cb(new JoaProtocolError("empty_message", null, {messageId: Number(elements[0])}), null);
+            return;
+        }
+        if (!fields) {
+            cb(null, {
+                id: Number(elements[0]),
+                messageType: elements[1],
+                fields: elements.slice(2)
+            });
+            return;
+        }
+        //a repeated field should have at least a single element, all others should have exactly the amount of fields
+        if ((schema.repeated && elements.length <= fields.length) ||
+                (!schema.repeated && elements.length !== fields.length)) {
+            cb(new JoaProtocolError("invalid_element_count", null, {messageId: Number(elements[0])}), null);
+            return;
+        }
+        for (i = 0; i < fields.length; i += 1) {
+            var value = elements[i];
+            if (value.length === 0 && previous && isCompressible(fields[i], schema)) {
+                value = previous[fields[i]];
+            } else if (numericFields.indexOf(fields[i]) !== -1 && value.length > 0) {
+                value = Number(value);
+            }
+            obj[fields[i]] = value;
+        }
+        if (schema.repeated) {
+            obj[schema.repeated] = elements.slice(fields.length);
+        }
+        cb(null, obj);
+    }
+    /**
+     * Decodes a JOA payload (for example a captured request of a gateway or the result of toString()) back to
+     * the gateway identifier, the header attributes and the message objects. Whenever a secret is given the
+     * signature in the header is verified with the given signer, the result will then have a hashValid property which
+     * is true when the signature matches and false otherwise. Without a secret hashValid is null. Fields that were left
+     * empty to be copied from the previous message (see JOA.compress) are expanded again.<br/>
+     *
+     * @method JOA.decodePayload
+     * @param {String} payload The payload to decode.
+     * @param {String} [secret] The shared secret used to verify the signature.
+     * @param {Object} [signer] The signer the payload was signed with (see JOA.signers), JOA.signers.md5 when omitted.
+     * @param {Function} cb A callback function with an error (a JoaProtocolError, or a JoaConfigError when the signer
+     * fails) and a result parameter.
+     * @example
+     JOA.decodePayload(payload, "simple_secret", function (err, decoded) {
             if (err) {
-                ret = err;
-            } else if (isHashingEnabled()) {
-                //six is the length of ,hash=
-                var indexOfHash = payload.indexOf(",hash=") + 6,
-                    indexOfLastEOL = payload.indexOf(char.eol);
-                ret = payload.substring(indexOfHash, indexOfLastEOL);
+                console.log(err);
             } else {
-                ret = "no_hashing_enbaled";
+                console.log(decoded.gatewayIdentifier, decoded.attribute.vendor, decoded.hashValid);
+                console.log(decoded.messages);
             }
         });
-        return ret;
+     */
+    function decodePayload(payload, secret, signer, cb) {
+        if (typeof secret === "function") {
+            cb = secret;
+            secret = null;
+        } else if (typeof signer === "function") {
+            cb = signer;
+            signer = null;
+        }
+        signer = signer || signers.md5;
+        var i,
+            lines = payload.split(char.eol),
+            result = null,
+            error = null,
+            previous = {},
+            collect = function (err, message) {
+                error = err;
+                if (message) {
+                    result.messages.push(message);
+                    previous[message.messageType] = message;
+                }
+            };
+        decodeHeader(lines[0], function (err, decodedHeader) {
+            error = err;
+            result = decodedHeader;
+        });
+        if (error) {
+            cb(error, null);
+            return;
+        }
+        result.messages = [];
+        result.hashValid = null;
+        //every line ends with a eol char, so the last element is always empty
+        for (i = 1; i < lines.length && !error; i += 1) {
+            if (lines[i].length > 0) {
+                decodeMessage(lines[i], previous[lines[i].split(char.tab)[1]], collect);
+            }
+        }
+        if (error) {
+            cb(error, null);
+            return;
+        }
+        if (secret) {
+            //the signature is calculated over the payload without the attribute holding it
+            var signature = result.attribute[signer.attribute];
+            try {
+                result.hashValid = typeof signature === "string" &&
+                    signer.sign(secret, payload.replace("," + signer.attribute + "=" + signature, "")) === signature;
+            } catch (e) {
+                cb(e instanceof JoaError ? e :
+                        new JoaConfigError("signing_failed", e.message, {field: "signer", cause: e}), null);
+                return;
+            }
+        }
+        cb(null, result);
+    }
+    /**
+     * Returns the crypto module of Node.js, or null when it is not available like in a browser. <br/>
+     *
+     * @method JOA.getNodeCrypto
+     * @return {Object} The crypto module or null.
+     * @private
+     */
+    function getNodeCrypto() {
+        try {
+            return typeof require === "function" ? require("crypto") : null;
+        } catch (err) {
+            return null;
+        }
     }
     /**
-     * A minized natively approach for Javascript md5 hashing.<br />
+     * Calculates the md5 hash of a string, which is encoded with UTF-8 first. The crypto module of Node.js is used
+     * whenever it is available, otherwise the hash is calculated in Javascript. The browsers offer no synchronous
+     * hashing (and WebCrypto has no md5), so in a browser it is always calculated in Javascript. Both give the same
+     * hash for any string.<br />
      *
      * @method JOA.md5
-     * @param {String} s String to be hashed.
+     * @param {String} str String to be hashed.
      * @return {String} A md5 hashed string.
     **/
-    var md5 = function(s){function L(k,d){return(k<<d)|(k>>>(32-d));}function K(G,k){var I,d,F,H,x;F=(G&2147483648);H=(k&2147483648);I=(G&1073741824);d=(k&1073741824);x=(G&1073741823)+(k&1073741823);if(I&d){return(x^2147483648^F^H);}if(I|d){if(x&1073741824){return(x^3221225472^F^H);}else{return(x^1073741824^F^H);}}else{return(x^F^H);}}function r(d,F,k){return(d&F)|((~d)&k);}function q(d,F,k){return(d&k)|(F&(~k));}function p(d,F,k){return(d^F^k);}function n(d,F,k){return(F^(d|(~k)));}function u(G,F,aa,Z,k,H,I){G=K(G,K(K(r(F,aa,Z),k),I));return K(L(G,H),F);}function f(G,F,aa,Z,k,H,I){G=K(G,K(K(q(F,aa,Z),k),I));return K(L(G,H),F);}function D(G,F,aa,Z,k,H,I){G=K(G,K(K(p(F,aa,Z),k),I));return K(L(G,H),F);}function t(G,F,aa,Z,k,H,I){G=K(G,K(K(n(F,aa,Z),k),I));return K(L(G,H),F);}function e(G){var Z;var F=G.length;var x=F+8;var k=(x-(x%64))/64;var I=(k+1)*16;var aa=Array(I-1);var d=0;var H=0;while(H<F){Z=(H-(H%4))/4;d=(H%4)*8;aa[Z]=(aa[Z]| (G.charCodeAt(H)<<d));H++;}Z=(H-(H%4))/4;d=(H%4)*8;aa[Z]=aa[Z]|(128<<d);aa[I-2]=F<<3;aa[I-1]=F>>>29;return aa;}function B(x){var k="",F="",G,d;for(d=0;d<=3;d++){G=(x>>>(d*8))&255;F="0"+G.toString(16);k=k+F.substr(F.length-2,2);}return k;}function J(k){k=k.replace(/rn/g,"n");var d="";for(var F=0;F<k.length;F++){var x=k.charCodeAt(F);if(x<128){d+=String.fromCharCode(x);}else{if((x>127)&&(x<2048)){d+=String.fromCharCode((x>>6)|192);d+=String.fromCharCode((x&63)|128);}else{d+=String.fromCharCode((x>>12)|224);d+=String.fromCharCode(((x>>6)&63)|128);d+=String.fromCharCode((x&63)|128);}}}return d;}var C=Array();var P,h,E,v,g,Y,X,W,V;var S=7,Q=12,N=17,M=22;var A=5,z=9,y=14,w=20;var o=4,m=11,l=16,j=23;var U=6,T=10,R=15,O=21;s=J(s);C=e(s);Y=1732584193;X=4023233417;W=2562383102;V=271733878;for(P=0;P<C.length;P+=16){h=Y;E=X;v=W;g=V;Y=u(Y,X,W,V,C[P+0],S,3614090360);V=u(V,Y,X,W,C[P+1],Q,3905402710);W=u(W,V,Y,X,C[P+2],N,606105819);X=u(X,W,V,Y,C[P+3],M,3250441966);Y=u(Y,X,W,V,C[P+4],S,4118548399);V=u(V,Y,X,W,C[P+5],Q,1200080426);W=u(W,V,Y,X,C[P+6],N,2821735955);X=u(X,W,V,Y,C[P+7],M,4249261313);Y=u(Y,X,W,V,C[P+8],S,1770035416);V=u(V,Y,X,W,C[P+9],Q,2336552879);W=u(W,V,Y,X,C[P+10],N,4294925233);X=u(X,W,V,Y,C[P+11],M,2304563134);Y=u(Y,X,W,V,C[P+12],S,1804603682);V=u(V,Y,X,W,C[P+13],Q,4254626195);W=u(W,V,Y,X,C[P+14],N,2792965006);X=u(X,W,V,Y,C[P+15],M,1236535329);Y=f(Y,X,W,V,C[P+1],A,4129170786);V=f(V,Y,X,W,C[P+6],z,3225465664);W=f(W,V,Y,X,C[P+11],y,643717713);X=f(X,W,V,Y,C[P+0],w,3921069994);Y=f(Y,X,W,V,C[P+5],A,3593408605);V=f(V,Y,X,W,C[P+10],z,38016083);W=f(W,V,Y,X,C[P+15],y,3634488961);X=f(X,W,V,Y,C[P+4],w,3889429448);Y=f(Y,X,W,V,C[P+9],A,568446438);V=f(V,Y,X,W,C[P+14],z,3275163606);W=f(W,V,Y,X,C[P+3],y,4107603335);X=f(X,W,V,Y,C[P+8],w,1163531501);Y=f(Y,X,W,V,C[P+13],A,2850285829);V=f(V,Y,X,W,C[P+2],z,4243563512);W=f(W,V,Y,X,C[P+7],y,1735328473);X=f(X,W,V,Y,C[P+12],w,2368359562);Y=D(Y,X,W,V,C[P+5],o,4294588738);V=D(V,Y,X,W,C[P+8],m,2272392833);W=D(W,V,Y,X,C[P+11],l,1839030562);X=D(X,W,V,Y,C[P+14],j,4259657740);Y=D(Y,X,W,V,C[P+1],o,2763975236);V=D(V,Y,X,W,C[P+4],m,1272893353);W=D(W,V,Y,X,C[P+7],l,4139469664);X=D(X,W,V,Y,C[P+10],j,3200236656);Y=D(Y,X,W,V,C[P+13],o,681279174);V=D(V,Y,X,W,C[P+0],m,3936430074);W=D(W,V,Y,X,C[P+3],l,3572445317);X=D(X,W,V,Y,C[P+6],j,76029189);Y=D(Y,X,W,V,C[P+9],o,3654602809);V=D(V,Y,X,W,C[P+12],m,3873151461);W=D(W,V,Y,X,C[P+15],l,530742520);X=D(X,W,V,Y,C[P+2],j,3299628645);Y=t(Y,X,W,V,C[P+0],U,4096336452);V=t(V,Y,X,W,C[P+7],T,1126891415);W=t(W,V,Y,X,C[P+14],R,2878612391);X=t(X,W,V,Y,C[P+5],O,4237533241);Y=t(Y,X,W,V,C[P+12],U,1700485571);V=t(V,Y,X,W,C[P+3],T,2399980690);W=t(W,V,Y,X,C[P+10],R,4293915773);X=t(X,W,V,Y,C[P+1],O,2240044497);Y=t(Y,X,W,V,C[P+8],U,1873313359);V=t(V,Y,X,W,C[P+15],T,4264355552);W=t(W,V,Y,X,C[P+6],R,2734768916);X=t(X,W,V,Y,C[P+13],O,1309151649);Y=t(Y,X,W,V,C[P+4],U,4149444226);V=t(V,Y,X,W,C[P+11],T,3174756917);W=t(W,V,Y,X,C[P+2],R,718787259);X=t(X,W,V,Y,C[P+9],O,3951481745);Y=K(Y,h);X=K(X,E);W=K(W,v);V=K(V,g);}var i=B(Y)+B(X)+B(W)+B(V);return i.toLowerCase();}; 
+    function md5(str) {
+        var crypto = getNodeCrypto();
+        return crypto ? crypto.createHash("md5").update(str, "utf8").digest("hex") : pureMd5(str);
+    }
+    /**
+     * The built-in strategies to sign a payload with (see JOA.signer). A signer is an object with an attribute
+     * property, the name of the header attribute holding the signature, and a sign(secret, payload) function that
+     * returns the signature of the payload, the payload being the complete payload without that attribute. A signer
+     * can also have a createHasher(secret) function that returns an object with an update(str) and a digest()
+     * function, or null when it can not sign incrementally, which is used to sign a streamed payload (see
+     * JOA.streaming).<br/>
+     * - md5: The md5 hash of the secret concatenated with the payload, as the backoffice expects it.<br/>
+     * - pureMd5: The same as md5 but always calculated in Javascript.<br/>
+     * - hmac(algorithm, [attribute]): Creates a signer for a HMAC of the payload with the secret as key, using any
+     * algorithm of the crypto module of Node.js, for backoffices that support HMAC. The attribute defaults to hash.
+     *
+     * @property JOA.signers
+     * @type {Object}
+     * @example
+     JOA.signer = JOA.signers.hmac("sha256");
+    **/
+    var signers = {
+        md5: {
+            attribute: "hash",
+            sign: function (secret, payload) {
+                return md5(secret + payload);
+            },
+            createHasher: function (secret) {
+                var crypto = getNodeCrypto();
+                return crypto ? cryptoHasher(crypto.createHash("md5").update(secret, "utf8")) : null;
+            }
+        },
+        pureMd5: {
+            attribute: "hash",
+            sign: function (secret, payload) {
+                return pureMd5(secret + payload);
+            }
+        },
+        hmac: function (algorithm, attribute) {
+            return {
+                attribute: attribute || "hash",
+                sign: function (secret, payload) {
+                    var crypto = getNodeCrypto();
+                    if (!crypto) {
+                        throw new JoaConfigError("no_crypto_available", "HMAC signing needs the crypto module.", {
+                            field: "signer"
+                        });
+                    }
+                    return crypto.createHmac(algorithm, secret).update(payload, "utf8").digest("hex");
+                },
+                createHasher: function (secret) {
+                    var crypto = getNodeCrypto();
+                    return crypto ? cryptoHasher(crypto.createHmac(algorithm, secret)) : null;
+                }
+            };
+        }
+    };
+    /**
+     * Wraps a Hash or Hmac object of the crypto module of Node.js as an incremental hasher. <br/>
+     *
+     * @method JOA.cryptoHasher
+     * @param {Object} hash The Hash or Hmac object.
+     * @return {Object} An object with an update(str) and a digest() function, which returns the hex digest.
+     * @private
+     */
+    function cryptoHasher(hash) {
+        return {
+            update: function (str) {
+                hash.update(str, "utf8");
+            },
+            digest: function () {
+                return hash.digest("hex");
+            }
+        };
+    }
+    /**
+     * Creates an incremental hasher for a signer. A signer that can not sign incrementally gets the parts of the
+     * payload joined once the digest is asked for, which is how pureMd5 and custom signers without a createHasher
+     * function sign a streamed payload. <br/>
+     *
+     * @method JOA.createHasher
+     * @param {Object} signer The signer (see JOA.signers).
+     * @param {String} secret The shared secret.
+     * @return {Object} An object with an update(str) and a digest() function.
+     * @private
+     */
+    function createHasher(signer, secret) {
+        var parts = [],
+            hasher = signer.createHasher ? signer.createHasher(secret) : null;
+        return hasher || {
+            update: function (str) {
+                parts.push(str);
+            },
+            digest: function () {
+                return signer.sign(secret, parts.join(""));
+            }
+        };
+    }
+    /**
+     * Creates a readable stream of Node.js that pulls its chunks from a reader, a chunk is only created once the
+     * stream is read so backpressure is respected. <br/>
+     *
+     * @method JOA.createReadable
+     * @param {Object} reader An object with a read() function that returns the next chunk, or null at the end.
+     * @return {Readable} The stream.
+     * @private
+     */
+    function createReadable(reader) {
+        var Readable = require("stream").Readable;
+        return new Readable({
+            read: function () {
+                var chunk;
+                try {
+                    do {
+                        chunk = reader.read();
+                    } while (this.push(chunk) && chunk !== null);
+                } catch (e) {
+                    this.destroy(e);
+                }
+            }
+        });
+    }
+    /**
+     * Creates the error of a transport for a request without a response in time. <br/>
+     *
+     * @method JOA.timeoutError
+     * @param {Number} timeout The number of milliseconds that were waited.
+     * @return {Error} An error with the ETIMEDOUT code.
+     * @private
+     */
+    function timeoutError(timeout) {
+        var err = new Error("No response within " + timeout + " ms.");
+        err.code = "ETIMEDOUT";
+        return err;
+    }
+    /**
+     * Sends a request using the XMLHttpRequest object of the browser, this is the default transport in a browser.
+     * <br/>
+     *
+     * @method JOA.transports.xhr
+     * @param {Object} request The request, an object with an url, a method, a headers object and a body.
+     * @param {Function} cb A callback function with an error and a response parameter. The response is an object
+     * with a status, statusText and body property.
+     * @private
+     */
+    function xhrTransport(request, cb) {
+        var i,
+            http = new XMLHttpRequest(),
+            headerNames = Object.keys(request.headers),
+            timer = null,
+            finished = false;
+        http.open(request.method, request.url, true);
+        for (i = 0; i < headerNames.length; i += 1) {
+            http.setRequestHeader(headerNames[i], request.headers[headerNames[i]]);
+        }
+        //call a function when the state changes
+        http.onreadystatechange = function () {
+            if (http.readyState === XMLHttpRequest.DONE && !finished) {
+                finished = true;
+                clearTimeout(timer);
+                cb(null, {
+                    status: http.status,
+                    statusText: http.statusText,
+                    body: http.responseText
+                });
+            }
+        };
+        if (request.timeout) {
+            timer = setTimeout(function () {
+                finished = true;
+                http.abort();
+                cb(timeoutError(request.timeout), null);
+            }, request.timeout);
+        }
+        http.send(request.body);
+    }
+    /**
+     * Sends a request using the http or https module of Node.js, this is the default transport whenever there is
+     * no XMLHttpRequest object available. <br/>
+     *
+     * @method JOA.transports.node
+     * @param {Object} request The request, an object with an url, a method, a headers object and a body.
+     * @param {Function} cb A callback function with an error and a response parameter. The response is an object
+     * with a status, statusText and body property.
+     * @private
+     */
+    function nodeTransport(request, cb) {
+        var options = require("url").parse(request.url),
+            lib = require(options.protocol === "https:" ? "https" : "http"),
+            headerNames = Object.keys(request.headers),
+            finished = false,
+            timer = null,
+            i;
+        //a streamed payload comes with its own Content-Length header
+        options.method = request.method;
+        options.headers = request.stream ? {} : {"Content-Length": Buffer.byteLength(request.body)};
+        for (i = 0; i < headerNames.length; i += 1) {
+            options.headers[headerNames[i]] = request.headers[headerNames[i]];
+        }
+        function done(err, response) {
+            if (!finished) {
+                finished = true;
+                clearTimeout(timer);
+                cb(err, response);
+            }
+        }
+        var req = lib.request(options, function (res) {
+            var body = "";
+            res.setEncoding("utf8");
+            res.on("data", function (chunk) {
+                body += chunk;
+            });
+            res.on("end", function () {
+                done(null, {
+                    status: res.statusCode,
+                    statusText: res.statusMessage,
+                    body: body
+                });
+            });
+        });
+        req.on("error", function (err) {
+            done(err, null);
+        });
+        if (request.timeout) {
+            timer = setTimeout(function () {
+                done(timeoutError(request.timeout), null);
+                req.abort();
+            }, request.timeout);
+        }
+        if (request.stream) {
+            request.stream.on("error", function (err) {
+                done(err, null);
+                req.abort();
+            });
+            request.stream.pipe(req);
+        } else {
+            req.end(request.body);
+        }
+    }
+    /**
+     * The built-in transports that can be used to send a payload to the backoffice. A transport is a function with a
+     * request and a callback parameter. The request is an object with an url, a method, a headers object, a body and
+     * a timeout, the number of milliseconds after which the request is aborted with an error with the ETIMEDOUT
+     * code (0 to wait forever, see JOA.timeout).
+     * A client that streams its payloads (see JOA.streaming) sends a request with a stream property, a readable
+     * stream of Node.js, and a Content-Length header instead of a body, which only the node transport supports
+     * (the xhr transport fails with a JoaConfigError "streaming_not_supported").
+     * Once the request finishes the transport calls back with an error (only when no response was received at all)
+     * and a response, an object with a status, statusText and body property. Any function with this signature can
+     * be set as the transport of a client, for example to send payloads through a proxy or to test a client.<br/>
+     * - xhr: Uses the XMLHttpRequest object of the browser.<br/>
+     * - node: Uses the http and https modules of Node.js.
+     *
+     * @property JOA.transports
+     * @type {Object}
+     * @example
+     JOA.transport = JOA.transports.node;
+    **/
+    var transports = {
+        xhr: xhrTransport,
+        node: nodeTransport
+    };
+    /**
+     * Gets the response of the backoffice from the body of a response. The debug interface of the backoffice responds
+     * with a HTML page that contains the actual response in a pre element. <br/>
+     *
+     * @method JOA.getResponseBody
+     * @param {String} body The body of the HTTP response.
+     * @param {Boolean} debug True when the payload was posted to the debug interface.
+     * @return {String} The response as sent by the backoffice.
+     * @private
+     */
+    function getResponseBody(body, debug) {
+        var pre;
+        if (!debug) {
+            return body;
+        }
+        pre = /<pre[^>]*>([\s\S]*?)<\/pre>/i.exec(body);
+        return pre ? pre[1] : "";
+    }
+    /**
+     * The promise based variant of decodePayload(). <br/>
+     *
+     * @method JOA.decodePayloadAsync
+     * @param {String} payload The payload to decode.
+     * @param {String} [secret] The shared secret used to verify the signature.
+     * @param {Object} [signer] The signer the payload was signed with (see JOA.signers).
+     * @return {Promise} A promise that resolves to the decoded payload or rejects with a JoaError.
+     */
+    function decodePayloadAsync(payload, secret, signer) {
+        return new Promise(function (resolve, reject) {
+            decodePayload(payload, secret || null, signer || null, function (err, decoded) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(decoded);
+                }
+            });
+        });
+    }
+    /**
+     * The default values of a retry policy (see JOA.retryPolicy).<br/>
+     * - maxAttempts {Integer}: The number of times a message is sent before it is moved to the dead letters.<br/>
+     * - baseDelay {Integer}: The number of milliseconds to wait before the first retry.<br/>
+     * - maxDelay {Integer}: The maximum number of milliseconds to wait before a retry.<br/>
+     * - factor {Number}: The delay is multiplied by this factor after every attempt.<br/>
+     * - jitter {Number}: A fraction from 0 to 1, the delay is randomly reduced by up to this fraction so that many
+     * gateways do not retry at the exact same moment.<br/>
+     * - retryStatuses {Array}: The message status codes that are worth retrying, messages with any other status
+     * than 200 are moved to the dead letters immediately. Whenever the post itself fails with a network error or
+     * a HTTP 5xx status all messages are retried.
+     *
+     * @property JOA.defaultRetryPolicy
+     * @type {Object}
+    **/
+    var defaultRetryPolicy = {
+        maxAttempts: 5,
+        baseDelay: 1000,
+        maxDelay: 60000,
+        factor: 2,
+        jitter: 0.5,
+        retryStatuses: [489]
+    };
+    /**
+     * The default options of the automatic flushing of a client (see JOA.startAutoFlush()).<br/>
+     * - interval {Integer}: The number of milliseconds between two flushes, 0 to not flush on an interval.<br/>
+     * - maxMessages {Integer}: The queue is flushed as soon as it holds this number of messages, 0 for no limit.<br/>
+     * - maxAge {Integer}: The queue is flushed as soon as its oldest message was queued this number of milliseconds
+     * ago, 0 for no limit.<br/>
+     * - postOptions {Object}: The options given to post() when flushing, only the ack-ed messages are cleared by
+     * default so a failed message stays in the queue just like with a post() of its own.
+     *
+     * @property JOA.defaultAutoFlush
+     * @type {Object}
+    **/
+    var defaultAutoFlush = {
+        interval: 60000,
+        maxMessages: 0,
+        maxAge: 0,
+        postOptions: {clearOnlySuccess: true}
+    };
+    /**
+     * Checks whether or not a failed post is worth retrying, which is the case for network errors, timeouts and HTTP
+     * 5xx statuses. <br/>
+     *
+     * @method JOA.isRetryableError
+     * @param {JoaTransportError} err The error of the post.
+     * @return {Boolean} True if the post should be retried, false otherwise.
+     * @private
+     */
+    function isRetryableError(err) {
+        return err.code === "network_error" || err.code === "timeout" ||
+            (err.code === "http_error" && err.status >= 500);
+    }
+    /**
+     * Computes the delay before the next retry, using exponential backoff with jitter. <br/>
+     *
+     * @method JOA.getRetryDelay
+     * @param {Object} policy The retry policy.
+     * @param {Integer} attempt The number of attempts made so far.
+     * @return {Number} The delay in milliseconds.
+     * @private
+     */
+    function getRetryDelay(policy, attempt) {
+        var delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+        return delay - delay * policy.jitter * Math.random();
+    }
+    /**
+     * Parses the state a storage saved, a corrupt state is reported instead of thrown. <br/>
+     *
+     * @method JOA.parseState
+     * @param {String} saved The saved state, null or an empty string when nothing was saved yet.
+     * @param {Function} cb A callback function with an error (a JoaError with the invalid_state code) and the state.
+     * @private
+     */
+    function parseState(saved, cb) {
+        var state;
+        try {
+            state = saved ? JSON.parse(saved) : null;
+        } catch (err) {
+            cb(new JoaError("invalid_state", "The saved state is not valid JSON.", {cause: err}), null);
+            return;
+        }
+        if (state && (!Array.isArray(state.messages) || !Array.isArray(state.deadLetters))) {
+            cb(new JoaError("invalid_state", "The saved state has no messages or dead letters."), null);
+            return;
+        }
+        cb(null, state);
+    }
+    /**
+     * Creates a storage that keeps the state in memory, which is mostly useful for testing. The state is copied
+     * so changes to the queue only end up in the storage when they are saved. <br/>
+     *
+     * @method JOA.storages.memory
+     * @return {Object} The storage.
+     */
+    function memoryStorage() {
+        var saved = null;
+        return {
+            load: function (cb) {
+                parseState(saved, cb);
+            },
+            save: function (state, cb) {
+                saved = JSON.stringify(state);
+                cb(null);
+            }
+        };
+    }
+    /**
+     * Creates a storage that saves the state in the localStorage of the browser. <br/>
+     *
+     * @method JOA.storages.localStorage
+     * @param {String} key The key under which the state is saved.
+     * @param {Object} [store=localStorage] The object implementing the Web Storage API, sessionStorage for example.
+     * @return {Object} The storage.
+     */
+    function localStorageStorage(key, store) {
+        return {
+            load: function (cb) {
+                var saved;
+                try {
+                    saved = (store || localStorage).getItem(key);
+                } catch (err) {
+                    cb(err, null);
+                    return;
+                }
+                parseState(saved, cb);
+            },
+            save: function (state, cb) {
+                try {
+                    (store || localStorage).setItem(key, JSON.stringify(state));
+                } catch (err) {
+                    //for example when the quota of the storage is exceeded
+                    cb(err);
+                    return;
+                }
+                cb(null);
+            }
+        };
+    }
+    /**
+     * Creates a storage that saves the state in an IndexedDB database of the browser, which can hold a lot more
+     * messages than localStorage. The state is saved in an object store named queue. <br/>
+     *
+     * @method JOA.storages.indexedDB
+     * @param {String} name The name of the database.
+     * @param {Object} [factory=indexedDB] The IDBFactory used to open the database.
+     * @return {Object} The storage.
+     */
+    function indexedDBStorage(name, factory) {
+        var db = null;
+        function open(cb) {
+            if (db) {
+                cb(null, db);
+                return;
+            }
+            var request = (factory || indexedDB).open(name, 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore("queue");
+            };
+            request.onsuccess = function () {
+                db = request.result;
+                cb(null, db);
+            };
+            request.onerror = function () {
+                cb(request.error, null);
+            };
+        }
+        function transaction(mode, action, cb) {
+            open(function (err, database) {
+                if (err) {
+                    cb(err, null);
+                    return;
+                }
+                var request = action(database.transaction("queue", mode).objectStore("queue"));
+                request.onsuccess = function () {
+                    cb(null, request.result);
+                };
+                request.onerror = function () {
+                    cb(request.error, null);
+                };
+            });
+        }
+        return {
+            load: function (cb) {
+                transaction("readonly", function (store) {
+                    return store.get("state");
+                }, function (err, saved) {
+                    if (err) {
+                        cb(err, null);
+                    } else {
+                        parseState(saved, cb);
+                    }
+                });
+            },
+            save: function (state, cb) {
+                var saved = JSON.stringify(state);
+                transaction("readwrite", function (store) {
+                    return store.put(saved, "state");
+                }, function (err) {
+                    cb(err);
+                });
+            }
+        };
+    }
+    /**
+     * Creates a storage that saves the state in a file using the fs module of Node.js. The state is first written
+     * to a temporary file which then replaces the file, so the file is never left half written. <br/>
+     *
+     * @method JOA.storages.file
+     * @param {String} path The path of the file.
+     * @return {Object} The storage.
+     */
+    function fileStorage(path) {
+        return {
+            load: function (cb) {
+                require("fs").readFile(path, "utf8", function (err, saved) {
+                    //no file yet means nothing was saved yet
+                    if (err && err.code === "ENOENT") {
+                        cb(null, null);
+                    } else if (err) {
+                        cb(err, null);
+                    } else {
+                        parseState(saved, cb);
+                    }
+                });
+            },
+            save: function (state, cb) {
+                var fs = require("fs");
+                fs.writeFile(path + ".tmp", JSON.stringify(state), "utf8", function (err) {
+                    if (err) {
+                        cb(err);
+                    } else {
+                        fs.rename(path + ".tmp", path, cb);
+                    }
+                });
+            }
+        };
+    }
+    /**
+     * The built-in storages a client can save its queue to (see JOA.setStorage()). A storage is an object with a
+     * load and a save function. load has a callback parameter, which is called with an error and the saved state
+     * (or null when nothing was saved yet), the built-in storages call back with an invalid_state error when the saved
+     * state is corrupt. save has a state and a callback parameter, the callback is called with
+     * an error. The state is an object with the messages, messageId and deadLetters of a client. Any object with
+     * these two functions can be used as a storage.<br/>
+     * - memory(): Keeps the state in memory.<br/>
+     * - localStorage(key, [store]): Uses the localStorage of the browser.<br/>
+     * - indexedDB(name, [factory]): Uses an IndexedDB database of the browser.<br/>
+     * - file(path): Uses a file, in Node.js.
+     *
+     * @property JOA.storages
+     * @type {Object}
+     * @example
+     JOA.setStorage(JOA.storages.file("/var/lib/gateway/joa-queue.json"));
+    **/
+    var storages = {
+        memory: memoryStorage,
+        localStorage: localStorageStorage,
+        indexedDB: indexedDBStorage,
+        file: fileStorage
+    };
+    /**
+     * The default values of the id allocation of a client (see JOA.idAllocation).<br/>
+     * - min {Integer}: The lowest id.<br/>
+     * - max {Integer}: The highest id, once it is handed out the ids wrap around to min. An id is a 32 bit unsigned
+     * integer, so it can not be higher than the default, a range outside of it is refused with an
+     * invalid_id_allocation error.<br/>
+     * - generator {Function}: A function that returns the next id, instead of the counter of the client. It gets a
+     * function that tells whether or not an id is in use. Null by default.
+     *
+     * @property JOA.defaultIdAllocation
+     * @type {Object}
+    **/
+    var defaultIdAllocation = {
+        min: 1,
+        max: 4294967295,
+        generator: null
+    };
+    /**
+     * The default values of the batching of a client (see JOA.batching).<br/>
+     * - maxMessages {Integer}: The maximum number of messages in a single request, 0 for no limit.<br/>
+     * - maxBytes {Integer}: The maximum number of bytes of a single request body, 0 for no limit.<br/>
+     * - concurrency {Integer}: The number of requests that are posted at the same time, 1 to post the batches one
+     * after the other.
+     *
+     * @property JOA.defaultBatching
+     * @type {Object}
+    **/
+    var defaultBatching = {
+        maxMessages: 1000,
+        maxBytes: 524288,
+        concurrency: 1
+    };
+    /**
+     * Counts the number of bytes of a string when it is encoded with UTF-8. <br/>
+     *
+     * @method JOA.utf8Length
+     * @param {String} str The string.
+     * @return {Integer} The number of bytes.
+     * @private
+     */
+    function utf8Length(str) {
+        var i,
+            length = 0;
+        for (i = 0; i < str.length; i += 1) {
+            var code = str.charCodeAt(i);
+            if (code < 128) {
+                length += 1;
+            } else if (code < 2048) {
+                length += 2;
+            } else if (code >= 0xd800 && code <= 0xdbff) {
+                //a surrogate pair is a single character of four bytes
+                length += 4;
+                i += 1;
+            } else {
+                length += 3;
+            }
+        }
+        return length;
+    }
+    /**
+     * Parses the result gotten from the backoffice. It will return an array containing all messages as 
+     * Javascript objects. A status line has a type (s), a code (the message status, an unknown code is preserved
+     * with the text Unknown) and the messages it refers to, the ids are numbers. A time line has a type (t) and
+     * the timestamp as a number.<br/>
+     *
+     * @param {String} response The response as gotton it from the backoffice.
+     * @method JOA.parseResponse
+     * @return {[Object]} An array containing objects. See example to see the format of the returned array.
+     */
+    function parseResponse(response) {
+        var splitResponse = response.split(char.eol),
+            tmp = [],
+            i,
+            j;
+        //we loop through all the splitResponse elements except for the last one
+        //we splitted on char.eol chars, each line in the respone ends with a eol char
+        //even the last one so to ignore the always empty last element of this array
+        //we reduce length with 1
+        for (i = 0; i < splitResponse.length - 1; i+= 1) {
+            var splitResponseMessage = splitResponse[i].split(char.tab);
+            var referencedMessagesIds = [];
+            //we build an array containing all the referenced message ids in this response message
+            //because the first and second elements are always an type and a status code we will
+            //set j to 2 as initial value, we skip over those elements (the rest are all referenced ids
+            //which we actually need)
+            for (j = 2; j < splitResponseMessage.length; j+= 1) {
+                referencedMessagesIds.push(/^[0-9]+$/.test(splitResponseMessage[j]) ?
+                        parseInt(splitResponseMessage[j], 10) : splitResponseMessage[j]);
+            }
+            //now that we got all the data lets start creating the array to return
+            //check for the case we have a time attribute if so handle accordingly
+            var type = splitResponseMessage[0],
+                obj;
+            if(type !== "t") {
+                obj = {
+                    type: type,
+                    code: getStatus(splitResponseMessage[1]),
+                    messages: referencedMessagesIds
+                };
+            } else {
+               obj = {
+                    type: type,
+                    timestamp: parseInt(splitResponseMessage[1], 10)
+                }; 
+            }
+            //push the actual object into the tmp array
+            tmp.push(obj);
+        }
+        return tmp;
+    }
+    /**
+     * Reconciles a parsed response with the messages that were sent. Every sent message gets an explicit status:
+     * the status of the line that mentions its id, otherwise the default status (the status line without ids,
+     * which the backoffice uses for the most occurring status) or 489 when there is no default status either. <br/>
+     *
+     * @method JOA.reconcileResponse
+     * @param {[Object]} response The parsed response.
+     * @param {[Object]} sent The messages that were sent.
+     * @return {Object} An object with these properties:<br/>
+     * - statuses {Object}: The status of every sent message by id.<br/>
+     * - explicit {Object}: The statuses of the ids that were mentioned in the response, by id.<br/>
+     * - defaultStatus {Object}: The status of the line without ids or null when there is none.<br/>
+     * - unmatchedIds {Array}: The ids of sent messages that have neither an explicit status nor a default
+     * status, they got 489.<br/>
+     * - unknownIds {Array}: The ids mentioned in the response that were never sent.<br/>
+     * - timestamp {Integer}: The time indication or null when there is none.
+     */
+    function reconcileResponse(response, sent) {
+        var i, j,
+            sentIds = {},
+            model = {
+                statuses: {},
+                explicit: {},
+                defaultStatus: null,
+                unmatchedIds: [],
+                unknownIds: [],
+                timestamp: null
+            };
+        for (i = 0; i < sent.length; i += 1) {
+            sentIds[sent[i].id] = true;
+        }
+        for (i = 0; i < response.length; i += 1) {
+            if (response[i].type === messageType.TimeIndication) {
+                model.timestamp = response[i].timestamp;
+            } else if (response[i].messages.length === 0) {
+                model.defaultStatus = response[i].code;
+            } else {
+                for (j = 0; j < response[i].messages.length; j += 1) {
+                    var id = response[i].messages[j];
+                    model.explicit[id] = response[i].code;
+                    if (!sentIds.hasOwnProperty(id) && model.unknownIds.indexOf(id) === -1) {
+                        model.unknownIds.push(id);
+                    }
+                }
+            }
+        }
+        for (i = 0; i < sent.length; i += 1) {
+            var sentId = sent[i].id;
+            if (model.explicit.hasOwnProperty(sentId)) {
+                model.statuses[sentId] = model.explicit[sentId];
+            } else if (model.defaultStatus) {
+                model.statuses[sentId] = model.defaultStatus;
+            } else {
+                model.statuses[sentId] = messageStatus[489];
+                model.unmatchedIds.push(sentId);
+            }
+        }
+        return model;
+    }
+    /**
+     * Creates a client, this is an object with its own header, url, debug flag, message queue and message id
+     * counter. The methods that are added to the client only ever touch the state of that particular client, so
+     * multiple clients can be used side by side without interfering with each other. The global JOA object itself
+     * is the default client.<br/>
+     *
+     * @method JOA.setupClient
+     * @param {Object} client The object to turn into a client, all properties and methods are set on this object.
+     * @param {String} [url] The backoffice url for this client.
+     * @return {Object} The given object, set up as a client.
+     * @private
+     */
+    function setupClient(client, url) {
+        /**
+         * A flag to indicate that this JOA object is running in debug mode. Standard value is false. 
+         * Whenever debugging is set to true the post() method will posts it's data like the JOA
+         * debugging form found at: http://joa3.munisense.net/debug/index.php. This is not a flag
+         * that is used for debugging purposes of this JOA object, but rather to indicate how to
+         * send the data to the backoffice (production or development wise).<br/><br />
+         * This flag ought to be set to true if you were to post to http://joa3.munisense.net/debug/.
+         *
+         * @property JOA.debug
+         * @type {Boolean}
+         */
+        client.debug = true;
+        /**
+         * Represents the current set backoffice url. <br/>
+         *
+         * @property JOA.url
+         * @type {String}
+         */
+        client.url = url || null;
+        /**
+         * A flag to indicate that the messages should be compressed when they are parsed. Standard value is false.
+         * Whenever compressing is set to true every field of a message that is equal to the same field in the
+         * previous message of the same type is left empty. The backoffice will copy these fields from the previous
+         * message, which saves a lot of bytes when many readings of the same device, cluster and attribute are sent.
+         * The id, message type and multireport values are never left empty, and neither is the value of a command,
+         * because an empty value is a command without a payload.<br/>
+         *
+         * @property JOA.compress
+         * @type {Boolean}
+         */
+        client.compress = false;
+        /**
+         * The transport used to send payloads to the backoffice, see JOA.transports. Standard value is the xhr
+         * transport in a browser and the node transport when there is no XMLHttpRequest object available.<br/>
+         *
+         * @property JOA.transport
+         * @type {Function}
+         */
+        client.transport = typeof XMLHttpRequest !== "undefined" ? transports.xhr : transports.node;
+        /**
+         * The number of milliseconds to wait for the response of the backoffice, standard value is 60000. A request
+         * without a response in time is aborted and the post fails with a JoaTransportError "timeout", 0 waits
+         * forever.<br/>
+         *
+         * @property JOA.timeout
+         * @type {Number}
+         */
+        client.timeout = 60000;
+        /**
+         * The policy used to resend failed messages, standard value is null which disables resending. Set it to an
+         * object with any of the properties of JOA.defaultRetryPolicy (or to an empty object to use all defaults)
+         * to have post() resend failed messages automatically.<br/>
+         *
+         * @property JOA.retryPolicy
+         * @type {Object}
+         * @example
+         JOA.retryPolicy = {
+            maxAttempts: 10,
+            baseDelay: 5000
+         };
+         */
+        client.retryPolicy = null;
+        /**
+         * The storage the queue is saved to, standard value is null which keeps the queue in memory only. Use
+         * setStorage() to set it, which also restores the queue.<br/>
+         *
+         * @property JOA.storage
+         * @type {Object}
+         */
+        client.storage = null;
+        /**
+         * The limits used to split the queue into batches when posting, standard value is null which posts the
+         * whole queue in a single request. Set it to an object with any of the properties of JOA.defaultBatching
+         * (or to an empty object to use all defaults) to have post() split the queue into batches.<br/>
+         *
+         * @property JOA.batching
+         * @type {Object}
+         * @example
+         JOA.batching = {
+            maxMessages: 500,
+            maxBytes: 65536,
+            concurrency: 2
+         };
+         */
+        client.batching = null;
+        /**
+         * Whether or not the clock offset (see JOA.getClockOffset()) is applied to the timestamps of the messages,
+         * standard value is null which leaves the timestamps as they are. These values are available:<br/>
+         * - "new": The offset is added to the timestamp of every message that is queued once the offset is known.<br/>
+         * - "unsent": Like "new", and whenever the offset is learned or changes the timestamps of all messages in the
+         * queue are corrected as well.<br/>
+         * The offset that was applied is stored in the clockOffset property of the message, so a message is never
+         * corrected twice for the same offset.
+         *
+         * @property JOA.clockCorrection
+         * @type {String}
+         */
+        client.clockCorrection = null;
+        /**
+         * The validation of the messages of this client (see JOA.validateMessage()), standard value is null which
+         * does not check the messages at all. Set it to an object with any of the properties of
+         * JOA.defaultValidation (or to an empty object to use all defaults) to check the messages. In strict mode an
+         * invalid message is refused with an invalid_message JoaValidationError: when checking on add the add method
+         * throws it and nothing is added to the queue, when checking on serialize no payload is constructed and
+         * toString(), post() and the others return the error instead. In lenient mode the message:invalid event is
+         * emitted instead, with the message and its problems.<br/>
+         *
+         * @property JOA.validation
+         * @type {Object}
+         * @example
+         JOA.validation = {
+            mode: "lenient",
+            on: "serialize"
+         };
+         */
+        client.validation = null;
+        /**
+         * The strategy used to sign the payload whenever the hash attribute is set, standard value is null which
+         * uses JOA.signers.md5. Any object with an attribute property and a sign(secret, payload) function can be
+         * used, see JOA.signers.<br/>
+         *
+         * @property JOA.signer
+         * @type {Object}
+         */
+        client.signer = null;
+        /**
+         * The range of the message ids and an optional custom id generator, standard value is null which uses
+         * JOA.defaultIdAllocation. Set it to an object with any of the properties of JOA.defaultIdAllocation. The
+         * counter of the client is saved along with the queue whenever a storage is set (see JOA.setStorage()).<br/>
+         *
+         * @property JOA.idAllocation
+         * @type {Object}
+         * @example
+         JOA.idAllocation = {
+            min: 1,
+            max: 65535
+         };
+         */
+        client.idAllocation = null;
+        /**
+         * Whether or not payloads are streamed to the backoffice, standard value is null which posts every payload
+         * as a single string. A streamed payload is created one message line at a time while it is sent, and signed
+         * incrementally whenever the signer supports it (see JOA.signers), so large queues can be posted without
+         * holding copies of the payload in memory. The messages are not given as a raw string to the callback of
+         * post() and the payload:built event is not emitted. Only the node transport supports streaming (see
+         * JOA.transports), a post with the xhr transport, or outside of Node.js, fails with a JoaConfigError
+         * "streaming_not_supported".<br/>
+         *
+         * @property JOA.streaming
+         * @type {Boolean}
+         */
+        client.streaming = null;
+        /**
+         * The header object used to construct a valid header for a particular request. <br/><br/>
+         * attribute: A header can also contain an optional comma separated list of value-attribute pairs.<br/>
+         * attribute.vendor {String}: The 'vendor' attribute is a string containing the assigned vendor name. A vendor field is required.<br/><br/>
+         * attribute.hash {Boolean}: The 'hash' attribute is the MD5 hash of the shared secret concatenated with the contents of the full
+         * HTTP POST, including the header without a hash attribute. This value is required when using security level 3 or 4.
+         * For this attribute a boolean should be given; true to hash the payload and false for not.<br/><br/>
+         * attribute.secret {String}: The 'secret' attributes is the clear-text shared secret. This value is required for security level 2.<br/><br/>
+         * attribute.time {Boolean}: The 'time' attribute indicates a time request. It expects a boolean, true if you want a time
+         * indication in the response or false if you don't want a time indication.<br/><br/>
+         * gatewayIdentifier: The gateway identifier is a 32bit value formatted as an IP address.
+         * This IP address will not be the address of the sending node or the backoffice, but
+         * a virtual identifier assigned to this device. The address will be an address in the private range
+         * defined in RFC1918.<br/><br/>
+         *
+         * @property JOA.header
+         * @type {Object}
+         @example
+         {
+            attribute: {
+                vendor: "debug4",
+                hash: true,
+                secret: "simple_secret",
+                time: true
+            },
+            gatewayIdentifier: "12.34.56.78"
+            }
+         */
+        var header = {
+            attribute: {
+                vendor: null,
+                hash: null,
+                secret: null,
+                time: null
+            },
+            gatewayIdentifier: null
+        };
+        /**
+         * A counter to be used for message id's. <br/>
+         *
+         * @property JOA.messageId
+         * @type {Integer}
+         * @private
+         */
+        var messageId = 0;
+        /**
+         * A queue (array) containing all message objects.<br/>
+         *
+         * @property JOA.messages
+         * @type {Array}
+         * @private
+         */
+        var messages = [];
+        /**
+         * The number of queued messages per id (as a string), so ids in use can be looked up without scanning the
+         * queue.<br/>
+         *
+         * @property JOA.idsInUse
+         * @type {Object}
+         * @private
+         */
+        var idsInUse = {};
+        /**
+         * The messages that were moved out of the queue by the retry policy because they will never be accepted.<br/>
+         *
+         * @property JOA.deadLetters
+         * @type {Array}
+         * @private
+         */
+        var deadLetters = [];
+        /**
+         * The timer of the retry that is waiting to be posted, if any.<br/>
+         *
+         * @property JOA.retryTimer
+         * @type {Object}
+         * @private
+         */
+        var retryTimer = null;
+        /**
+         * The callbacks of the post whose retry is waiting, a post that takes over from that retry answers them
+         * too.<br/>
+         *
+         * @property JOA.retryCallbacks
+         * @type {Array}
+         * @private
+         */
+        var retryCallbacks = [];
+        /**
+         * Flags used to save the state to the storage one at a time, unsaved is set when the state changed while
+         * it was being saved.<br/>
+         *
+         * @property JOA.saving
+         * @type {Boolean}
+         * @private
+         */
+        var saving = false,
+            unsaved = false;
+        /**
+         * Whether or not the state is being restored from the storage, nothing is saved until it is restored so the
+         * saved state is never overwritten by the queue of this client.<br/>
+         *
+         * @property JOA.restoring
+         * @type {Boolean}
+         * @private
+         */
+        var restoring = false;
+        /**
+         * The listeners of this client by event name.<br/>
+         *
+         * @property JOA.listeners
+         * @type {Object}
+         * @private
+         */
+        var listeners = {};
+        /**
+         * The number of milliseconds the clock of the backoffice is ahead of the local clock, null as long as no
+         * time indication was received.<br/>
+         *
+         * @property JOA.clockOffset
+         * @type {Integer}
+         * @private
+         */
+        var clockOffset = null;
+        /**
+         * The state of the automatic flushing: the merged options (null when stopped), the callback, the timers, the
+         * flushing flag which is set while a flush is posting and the callbacks of flushNow() calls that wait for the
+         * next flush.<br/>
+         *
+         * @property JOA.autoFlush
+         * @type {Object}
+         * @private
+         */
+        var autoFlush = null,
+            autoFlushCb = null,
+            intervalTimer = null,
+            ageTimer = null,
+            thresholdTimer = null,
+            flushing = false,
+            flushAgain = false,
+            flushCallbacks = [];
+        /**
+         * Intialises the header fields in one go with an options object.<br/>
+         *
+         * @param {Object} options Object containing all headers to be set.
+         * @method JOA.headers
+         * @example 
+         JOA.headers({
+            attribute: {
+                    vendor: "debug4",
+                    time: true,
+                    hash: true,
+                    secret: "simple_secret"
+                },
+            gatewayIdentifier: "1.2.80.90"
+            });
+        **/
+        function headers(obj) {
+            client.header = obj;
+        }
+        /**
+         * Tries to construct a valid header for the current message. <br />
+         * Note: valid, in this context, means that all required fields are set and the result 
+         * header string is constructed according to the specification, no validation is done
+         * on the values of the header fields.
+         *
+         * @param {Function} cb A callback function with an error (a JoaConfigError) and a result parameter.
+         * @method JOA.parseHeader
+         * @private
+         * @example
+         parseHeader(function (err, header) {
+                if (err) {
+                    console.log(err);
+                } else {
+                    //we got a valid header!
+                    console.log(header);
+                }
+            });
+        **/
+        function parseHeader(cb) {
+            var i,
+                headerStr = "",
+                headerAttributeKeys = Object.keys(header.attribute);
+            //gatewayIdentifier cannot be null if it is we fail to construct the header
+            if (client.header.gatewayIdentifier !== null && client.header.gatewayIdentifier.length > 0) {
+                //add the protocol and version indication to the header string
+                headerStr += protocolVersion;
+                //add the gatewayIdentifier
+                headerStr += client.header.gatewayIdentifier;
+                //loop through the attribute object and decide for each key if it has a value, if so we add
+                //it to the header string
+                for (i = 0; i < headerAttributeKeys.length; i += 1) {
+                    var attributeKey = headerAttributeKeys[i],
+                        attributeValue = client.header.attribute[attributeKey];
+                    //this if statement looks complicated, but it is not... the left part of this OR
+                    //statement will check is de value is not null (default) and if so its length is
+                    //greater than 0, now some of the header fields can also contain a boolean value
+                    //instead of only a string value. So the right part of the or statement will check
+                    //for that if we find a boolean value AND it is true we will concatenate it to the
+                    //header string
+                    if ((attributeValue !== null && attributeValue.length > 0) || attributeValue) {
+                        //if statement for the time header field, if time is set we omit the = char
+                        if (attributeKey === "time") {
+                            headerStr += ",time";
+                        //any other field except for the pre-shared secret and the hash gets added to the
+                        //header definition, note: the hash (if enabled) will be added later on
+                        //in parsePayload() function.
+                        } else if (attributeKey !== "secret" && attributeKey !== "hash") {
+                            headerStr += "," + attributeKey + "=" + attributeValue;
+                        }
+                    }
+                }
+                //at last we're going to add a LF character to mark the header as complete
+                headerStr += char.eol;
+                //the final check is checking or the final string has a "vendor=" substring in it
+                //the vendor header attribute is mandatory
+                if (headerStr.indexOf("vendor=") !== -1) {
+                    //callback with the result, all went well and we constructed a valid header
+                    cb(null, headerStr);
+                } else {
+                    //no vendor attribute set
+                    cb(new JoaConfigError("no_vendor_attribute_set", null, {field: "attribute.vendor"}), null);
+                }
+            } else {
+                cb(new JoaConfigError("no_gatewayidentifier_set", null, {field: "gatewayIdentifier"}), null);
+            }
+        }
+        /**
+         * Will convert all message objects in the queue to a syntactically correct JOA message. <br/>
+         *
+         * @method JOA.parseMessages
+         * @param {[Object]} [list] The messages to convert, all messages in the queue when omitted.
+         * @return {String} All converted JOA messages.
+         * @throws {JoaValidationError} An invalid_character error when a field contains a TAB, LF or CR char, values
+         * are never changed to fit the framing of the payload.
+         * @private
+         */
+        function parseMessages(list) {
+            //setup an temp array which will hold all the new converted messages
+            var i,
+                tmp = [],
+                previous = {};
+            list = list || messages;
+            //loop through all the messages and add them to the temp array
+            for (i = 0; i < list.length; i += 1) {
+                tmp.push(serializeMessage(list[i], previous));
+            }
+            //return the results as a string instead of an array
+            return tmp.join("");
+        }
+        /**
+         * Converts a single message object to a JOA message line. <br/>
+         *
+         * @method JOA.serializeMessage
+         * @param {Object} message The message.
+         * @param {Object} previous The previously converted message of each message type, which is updated with this
+         * message. Fields equal to the same field in the previous message are left empty when compressing.
+         * @return {String} The message line, including the eol char.
+         * @throws {JoaValidationError} An invalid_character error when a field contains a TAB, LF or CR char.
+         * @private
+         */
+        function serializeMessage(message, previous) {
+            var j,
+                schema = messageSchemas[message.messageType],
+                previousMessage = client.compress && schema ? previous[message.messageType] : null,
+                elements = [];
+            //the fields are written in the order of the schema, any other property of the message is left out
+            var fields = schema ? schema.fields : getUnknownFields(message),
+                framed = findFramedField(message);
+            if (framed) {
+                throw invalidCharacterError(framed, message.id);
+            }
+            for (j = 0; j < fields.length; j += 1) {
+                var value = message[fields[j]];
+                //when compressing, a field that is equal to the same field in the previous message of the
+                //same type is left empty, the backoffice copies it from that previous message
+                if ((previousMessage && isCompressible(fields[j], schema) &&
+                        String(previousMessage[fields[j]]) === String(value)) ||
+                        value === undefined || value === null) {
+                    elements.push("");
+                } else {
+                    elements.push(value);
+                }
+            }
+            //the elements of the repeated field (an array or a string of tab separated elements), or the fields
+            //of a message without a schema, come last
+            var repeated = schema ? message[schema.repeated] : (Array.isArray(message.fields) ? message.fields : null);
+            if (Array.isArray(repeated)) {
+                elements = elements.concat(repeated);
+            } else if (repeated !== undefined && repeated !== null) {
+                elements.push(repeated);
+            }
+            //only messages of a known type can be used to copy fields from
+            if (schema) {
+                previous[message.messageType] = message;
+            }
+            return elements.join(char.tab) + char.eol;
+        }
+        /**
+         * Determines the fields of a message of a type without a schema (see JOA.messageSchemas). A message with a
+         * fields array, like a decoded message of an unknown type, has its id, message type and the elements of that
+         * array. Any other object is written in the order of its own properties, leaving out the status, attempts
+         * and clockOffset properties this client adds to a message itself. <br/>
+         *
+         * @method JOA.getUnknownFields
+         * @param {Object} message The message.
+         * @return {[String]} The names of the fields, in the order in which they are written.
+         * @private
+         */
+        function getUnknownFields(message) {
+            if (Array.isArray(message.fields)) {
+                return ["id", "messageType"];
+            }
+            return Object.keys(message).filter(function (key) {
+                return key !== "status" && key !== "attempts" && key !== "clockOffset";
+            });
+        }
+        /**
+         * Finds the field of a message that contains a TAB, LF or CR char (see JOA.hasFramingCharacter()). The
+         * elements of a repeated field given as a string are separated by TAB chars, so only a line break is
+         * refused there. <br/>
+         *
+         * @method JOA.findFramedField
+         * @param {Object} message The message.
+         * @return {String} The name of the first field that can not be sent, or null when all fields can be sent.
+         * @private
+         */
+        function findFramedField(message) {
+            var j,
+                schema = messageSchemas[message.messageType],
+                fields = schema ? schema.fields : getUnknownFields(message),
+                repeated = schema ? message[schema.repeated] : (Array.isArray(message.fields) ? message.fields : null);
+            for (j = 0; j < fields.length; j += 1) {
+                if (hasFramingCharacter(message[fields[j]])) {
+                    return fields[j];
+                }
+            }
+            if (hasFramingCharacter(Array.isArray(repeated) || !schema ? repeated : String(repeated).split(char.tab))) {
+                return schema ? schema.repeated : "fields";
+            }
+            return null;
+        }
+        /**
+         * Generates an unique id for this particular instance of JOA. These id's will be used for messages.
+         * An id is a 32bit unsigned integer that is being kept track of and incremented each time this function is called. 
+         * This process is as suggested by the JOA specification. Ids that are still in use by a message in the queue
+         * are skipped, so an id is never used twice in a payload or by a message that is being retried, and after the
+         * highest id the counter wraps around to the lowest id (see JOA.idAllocation).<br/>
+         *
+         * @method JOA.generateId
+         * @return {Integer} An incremented integer to be used as an id.
+         * @throws {JoaValidationError} A no_free_id error when all ids are in use, or an invalid_id or duplicate_id
+         * error when the id of a custom generator can not be used. A JoaConfigError invalid_id_allocation when the
+         * range of ids is not valid (see JOA.getIdAllocation()).
+         * @private
+         */
+        function generateId() {
+            var allocation = getIdAllocation(),
+                id,
+                i;
+            if (allocation.generator) {
+                id = allocation.generator(isIdInUse);
+                if (!isUnsignedInteger(id, defaultIdAllocation.max) || id === 0) {
+                    throw new JoaValidationError("invalid_id", "The generated id " + id + " is not valid.", {
+                        field: "id",
+                        status: messageStatus[481]
+                    });
+                }
+                if (isIdInUse(id)) {
+                    throw new JoaValidationError("duplicate_id", "The generated id " + id + " is already in use.", {
+                        field: "id",
+                        messageId: id
+                    });
+                }
+                return id;
+            }
+            //the queue can hold no more ids than there are in the range, so a free id is found within that many steps
+            for (i = 0; i <= messages.length; i += 1) {
+                messageId = messageId >= allocation.max || messageId < allocation.min ? allocation.min : messageId + 1;
+                if (!isIdInUse(messageId)) {
+                    return messageId;
+                }
+            }
+            throw new JoaValidationError("no_free_id", "All ids from " + allocation.min + " to " + allocation.max +
+                    " are in use.", {field: "id"});
+        }
+        /**
+         * Checks whether or not an id is used by a message in the queue, including messages that are waiting to be
+         * retried. <br/>
+         *
+         * @method JOA.isIdInUse
+         * @param {Integer} id The id.
+         * @return {Boolean} True if a message in the queue has the id, false otherwise.
+         * @private
+         */
+        function isIdInUse(id) {
+            return Object.prototype.hasOwnProperty.call(idsInUse, String(id));
+        }
+        /**
+         * Adds the ids of the messages to the index of ids in use, or removes them when count is negative. <br/>
+         *
+         * @method JOA.indexIds
+         * @param {[Object]} list The messages.
+         * @param {Integer} count 1 to add the ids, -1 to remove them.
+         * @private
+         */
+        function indexIds(list, count) {
+            var i, key;
+            for (i = 0; i < list.length; i += 1) {
+                key = String(list[i].id);
+                idsInUse[key] = (idsInUse[key] || 0) + count;
+                if (idsInUse[key] <= 0) {
+                    delete idsInUse[key];
+                }
+            }
+        }
+        /**
+         * Replaces the queue and rebuilds the index of ids in use. <br/>
+         *
+         * @method JOA.setMessages
+         * @param {[Object]} list The new queue.
+         * @private
+         */
+        function setMessages(list) {
+            messages = list;
+            idsInUse = {};
+            indexIds(messages, 1);
+        }
+        /**
+         * Merges the id allocation of this client with the default id allocation. <br/>
+         *
+         * @method JOA.getIdAllocation
+         * @return {Object} The complete id allocation.
+         * @throws {JoaConfigError} An invalid_id_allocation error when min and max are not a range of ids.
+         * @private
+         */
+        function getIdAllocation() {
+            var i,
+                allocation = {},
+                keys = Object.keys(defaultIdAllocation);
+            for (i = 0; i < keys.length; i += 1) {
+                allocation[keys[i]] = client.idAllocation && client.idAllocation[keys[i]] !== undefined ?
+                        client.idAllocation[keys[i]] : defaultIdAllocation[keys[i]];
+            }
+            //an id is a 32 bit unsigned integer other than 0
+            if (typeof allocation.min !== "number" || !isUnsignedInteger(allocation.min, defaultIdAllocation.max) ||
+                    typeof allocation.max !== "number" || !isUnsignedInteger(allocation.max, defaultIdAllocation.max) ||
+                    allocation.min === 0 || allocation.max < allocation.min) {
+                throw new JoaConfigError("invalid_id_allocation", "The ids from " + allocation.min + " to " +
+                        allocation.max + " are not a range of 32 bit unsigned integers.", {field: "idAllocation"});
+            }
+            return allocation;
+        }
+        /**
+         * Adds a listener for an event of this client. The listener is called with a single argument, which
+         * depends on the event:<br/>
+         * - message:added: The message that was added to the queue.<br/>
+         * - message:removed: The message that was removed by removeMessage().<br/>
+         * - queue:cleared: The array of messages that were removed by clearMessages(), the clear options of post()
+         * or the retry policy (see JOA.retryPolicy).<br/>
+         * - payload:built: The payload that was constructed.<br/>
+         * - request:sent: The request that was handed to the transport, with the url, method, headers and body
+         * properties.<br/>
+         * - response:received: The response of the backoffice, with the status, statusText and body properties.<br/>
+         * - message:acked: A posted message that was ack-ed by the backoffice.<br/>
+         * - message:failed: A posted message that was not ack-ed by the backoffice, its status property tells why.<br/>
+         * - message:invalid: An object with the message and the problems property, whenever a message is found invalid
+         * in lenient mode (see JOA.validation).<br/>
+         * - storage:error: A save_failed error, whenever the state could not be saved to the storage (see
+         * JOA.setStorage()).
+         *
+         * @method JOA.on
+         * @param {String} event The name of the event.
+         * @param {Function} listener The listener.
+         * @example
+         JOA.on("message:acked", function (message) {
+            console.log("message " + message.id + " was delivered");
+         });
+         */
+        function on(event, listener) {
+            listeners[event] = (listeners[event] || []).concat([listener]);
+        }
+        /**
+         * Removes a listener that was added with on(). <br/>
+         *
+         * @method JOA.off
+         * @param {String} event The name of the event.
+         * @param {Function} listener The listener.
+         */
+        function off(event, listener) {
+            listeners[event] = (listeners[event] || []).filter(function (added) {
+                return added !== listener;
+            });
+        }
+        /**
+         * Calls the listeners of an event. <br/>
+         *
+         * @method JOA.emit
+         * @param {String} event The name of the event.
+         * @param {Object} data The argument of the listeners.
+         * @private
+         */
+        function emit(event, data) {
+            var i,
+                called = listeners[event] || [];
+            for (i = 0; i < called.length; i += 1) {
+                called[i](data);
+            }
+        }
+        /**
+         * Adds a message to the queue, saves the queue and lets the listeners and the automatic flushing know.<br/>
+         *
+         * @method JOA.queueMessage
+         * @param {Object} obj The message.
+         * @private
+         */
+        function queueMessage(obj) {
+            var validation = getValidation(),
+                framed = findFramedField(obj),
+                error = null;
+            //an id is unique within the queue, so the statuses of the backoffice can be matched to the messages
+            if (isIdInUse(obj.id)) {
+                throw new JoaValidationError("duplicate_id", "The id " + obj.id + " is already in use.", {
+                    field: "id",
+                    messageId: obj.id
+                });
+            }
+            //a message that can not be sent would block every payload it is part of, so it never enters the queue
+            if (framed) {
+                error = invalidCharacterError(framed, obj.id);
+            } else if (validation && validation.on === "add" && !checkMessages([obj], validation)) {
+                error = invalidMessageError(validateMessage(obj));
+            }
+            if (error) {
+                //the message is refused, so its id can be handed out again
+                if (obj.id === messageId) {
+                    messageId -= 1;
+                }
+                throw error;
+            }
+            if (client.clockCorrection) {
+                correctTimestamp(obj);
+            }
+            messages.push(obj);
+            indexIds([obj], 1);
+            persist();
+            emit("message:added", obj);
+            checkAutoFlush();
+        }
+        /**
+         * Merges the validation of this client with the default validation. <br/>
+         *
+         * @method JOA.getValidation
+         * @return {Object} The complete validation or null when validation is disabled.
+         * @private
+         */
+        function getValidation() {
+            var i,
+                validation = {},
+                keys = Object.keys(defaultValidation);
+            if (!client.validation) {
+                return null;
+            }
+            for (i = 0; i < keys.length; i += 1) {
+                validation[keys[i]] = client.validation[keys[i]] !== undefined ? client.validation[keys[i]] :
+                        defaultValidation[keys[i]];
+            }
+            return validation;
+        }
+        /**
+         * Checks messages according to a validation, in lenient mode the listeners are told about the invalid
+         * messages. <br/>
+         *
+         * @method JOA.checkMessages
+         * @param {[Object]} list The messages to check.
+         * @param {Object} validation The validation.
+         * @return {Boolean} False if a message is invalid in strict mode, true otherwise.
+         * @private
+         */
+        function checkMessages(list, validation) {
+            var i;
+            for (i = 0; i < list.length; i += 1) {
+                var problems = validateMessage(list[i]);
+                if (problems.length > 0) {
+                    if (validation.mode === "strict") {
+                        return false;
+                    }
+                    emit("message:invalid", {message: list[i], problems: problems});
+                }
+            }
+            return true;
+        }
+        /**
+         * Checks all messages in the queue, regardless of the validation of this client (see
+         * JOA.validateMessage()). <br/>
+         *
+         * @method JOA.validate
+         * @param {[Object]} [list] The messages to check, all messages in the queue when omitted.
+         * @return {[Object]} The problems of all messages, empty when all messages are valid.
+         */
+        function validate(list) {
+            var i,
+                problems = [];
+            list = list || messages;
+            for (i = 0; i < list.length; i += 1) {
+                problems = problems.concat(validateMessage(list[i]));
+            }
+            return problems;
+        }
+        /**
+         * Adds a custom object to the queue.<br/>
+         *
+         * @method JOA.addObject
+         * @throws {JoaValidationError} A duplicate_id error when a message in the queue has the same id, or an
+         * invalid_character error when a field contains a TAB or line break, nothing is added to the queue in that
+         * case.
+         */
+        function addObject(obj) {
+            queueMessage(obj);
+        }
+        /**
+         * Adds a ZCL report to the message queue.
+         * The id and messageType fields are automatically being set for you and can be accessed once the method returns.
+         * All objects in the queue will be parsed to JOA3 messages upon calling post().
+         *
+         * @method JOA.addZCLReport
+         * @param {String} eui64 A 64bits address defined as an IEEE standard.
+         * @param {String} [endpointId=0x0a] When a single message device has multiple sensors of the same type, the endpointId
+         * can be used to enumerate the sensors. The range of allowed values is 1 to 239. The best value to use when only
+         * a single endpoint is used on a device is: 10 (0x0a). This field is also optional and when null is supplied 
+         * 0x0a will be used.
+         * @param {String} [profileId=0xf100] An optional ZigBee specific field, if null is supplied the default 0xf100 will be used.
+         * @param {String} clusterId clusters are an organizational unit of attributes of the same type. For example,
+         * all temperature related attributes are defined in clusterid: 1026 (0x0402). All cluster id's must be coordinated
+         * with Munisense before usage.
+         * @param {String} attributeId Attributes are the most specific fields defining a message. For example, the
+         * calibration value in the temperature cluster has an attributeid of 5 (0x005), has a unit in C (celsius) and has
+         * a data type int16s (0x29) and is presumed to be delivered with a scale factor of 0.01. Lists of definition are
+         * available from ZigBee specifications or vendor specific clusters can be defined coordinated with Munisense.
+         * @param {String} dataTypeId Each attribute has a fixed data type. Sending this value is an indication how values
+         * submitted should be handled and must be consistent throughout the implementation. Data types are defined in the
+         * ZigBee specification.
+         * @param {String} timestamp The timestamp is used to indicate the occurreence of a message. This value is a
+         * positive numerical value up to 48 bits in size indicating the number of milliseconds since 1970-01-01 00:00:00
+         * UTC, not adjusting for daylight savings time or leap seconds.
+         * @param {String} value The value is an ASCII representation of the reported value. The datatypeId indicates how
+         * a value should be notated:<br />
+         * - Integer (0x20-0x27, 0x28-0x2f): The value is numeric and optionally negative using a '-' minues
+         * indication in front of the value for signed values.<br />
+         * - Floating point (0x38-0x3a): Values are numeric, separating the integral and fractional parts with a '.' dot.<br />
+         * - Character/octet string (0x41-0x44): Value starting with one or two bytes indicating the length of the field
+         * completely encoded with base64. Text is encoded
+         * as its UTF-8 bytes for you, an already encoded value is given as an object with a base64 property.<br />
+         * - Boolean (0x10): 0 for false, 1 for true.<br />
+         * - Time (0xe2): This value is a positive numerical value up to 32bits in size indidcating the number of seconds
+         * since 2000-01-01 00:00:00 UTC, not adjusting for daylight savings time or leap seconds.<br />
+         * - Enumerations (0x30-0x31): Numeric value indicating an enumeration.<br />
+         * Instead of a string a native value can be given for the data types in JOA.dataTypes, like a number,
+         * BigInt, boolean, Date or an array of bytes, it will be encoded for you (see JOA.encodeValue()).
+         * @return {Object} The inserted ZCL report.
+         * @throws {Error} An invalid_value error with the 487 (Invalid Value) status when the value is not valid
+         * for the data type, or an invalid_character error when a field contains a TAB or line break, nothing is
+         * added to the queue in that case.
+         */
+        function addZCLReport(eui64, endpointId, profileId, clusterId, attributeId, dataTypeId, timestamp, value) {
+            var encodedValue = encodeValue(dataTypeId, value);
+            if (encodedValue === null) {
+                throw invalidValueError("value", value);
+            }
+            var obj = {
+                id: generateId(),
+                messageType: messageType.ZCLReport,
+                eui64: eui64,
+                endpointId: endpointId || "0x0a",
+                profileId: profileId || "0xf100",
+                clusterId: clusterId,
+                attributeId: attributeId,
+                dataTypeId: dataTypeId,
+                timestamp: timestamp,
+                value: encodedValue
+            };
+            queueMessage(obj);
+            return obj;
+        }
+        /**
+         * Adds a ZCL Multireport to the message queue.
+         * The id and messageType fields are automatically being set for you and can be accessed once the method returns.
+         * All objects in the queue will be parsed to JOA3 messages upon calling post().
+         *
+         * @method JOA.addZCLMultiReport
+         * @param {String} eui64 A 64bits address defined as an IEEE standard.
+         * @param {String} [endpointId=0x0a] When a single message device has multiple sensors of the same type, the endpointId
+         * can be used to enumerate the sensors. The range of allowed values is 1 to 239. The best value to use when only
+         * a single endpoint is used on a device is: 10 (0x0a). This field is also optional and when null is supplied 
+         * 0x0a will be used.
+         * @param {String} [profileId=0xf100] An optional ZigBee specific field, if null is supplied the default 0xf100 will be used.
+         * @param {String} clusterId Clusters are an organizational unit of attributes of the same type. For example,
+         * all temperature related attributes are defined in clusterid: 1026 (0x0402). All cluster id's must be coordinated
+         * with Munisense before usage.
+         * @param {String} attributeId Attributes are the most specific fields defining a message. For example, the
+         * calibration value in the temperature cluster has an attributeid of 5 (0x005), has a unit in C (celsius) and has
+         * a data type int16s (0x29) and is presumed to be delivered with a scale factor of 0.01. Lists of definition are
+         * available from ZigBee specifications or vendor specific clusters can be defined coordinated with Munisense.
+         * @param {String} dataTypeId Each attribute has a fixed data type. Sending this value is an indication how values
+         * submitted should be handled and must be consistent throughout the implementation. Data types are defined in the
+         * ZigBee specification.
+         * @param {String} timestamp The timestamp is used to indicate the occurreence of a message. This value is a
+         * positive numerical value up to 48 bits in size indicating the number of milliseconds since 1970-01-01 00:00:00
+         * UTC, not adjusting for daylight savings time or leap seconds.
+         * @param {String} offset The offset in this message type indicates the value between the timestamp and the following
+         * values. For each value the offset is added to the timestamp. The offset is in milliseconds. If the offset is a
+         * positive value, each value following the first will have a timestamp in the future in respect it previous value.
+         * When the offset is negative, each value following the first will have a timestamp in the past in respect it previous value.
+         * @param {Array} values An array containing the values in an ASCII representation of the reported values.
+         * The datatypeId indicates how a value should be notated:<br />
+         * - Integer (0x20-0x27, 0x28-0x2f): The value is numeric and optionally negative using a '-' minues
+         * indication in front of the value for signed values.<br />
+         * - Floating point (0x38-0x3a): Values are numeric, separating the integral and fractional parts with a '.' dot.<br />
+         * - Character/octet string (0x41-0x44): Value starting with one or two bytes indicating the length of the field
+         * completely encoded with base64. Text is encoded
+         * as its UTF-8 bytes for you, an already encoded value is given as an object with a base64 property.<br />
+         * - Boolean (0x10): 0 for false, 1 for true.<br />
+         * - Time (0xe2): This value is a positive numerical value up to 32bits in size indidcating the number of seconds
+         * since 2000-01-01 00:00:00 UTC, not adjusting for daylight savings time or leap seconds.<br />
+         * - Enumerations (0x30-0x31): Numeric value indicating an enumeration.<br />
+         * Instead of strings native values can be given for the data types in JOA.dataTypes, like numbers,
+         * BigInts, booleans, Dates or arrays of bytes, they will be encoded for you (see JOA.encodeValue()).
+         * @return {Object} The inserted ZCL Multireport.
+         * @throws {Error} An invalid_value error with the 487 (Invalid Value) status when one of the values is not
+         * valid for the data type, or an invalid_character error when a value contains a TAB or line break, nothing is
+         * added to the queue in that case.
+         */
+        function addZCLMultiReport(eui64, endpointId, profileId, clusterId, attributeId, dataTypeId, timestamp, offset, values) {
+            var i,
+                encodedValues = [];
+            for (i = 0; i < values.length; i += 1) {
+                encodedValues.push(encodeValue(dataTypeId, values[i]));
+                if (encodedValues[i] === null) {
+                    throw invalidValueError("values", values[i]);
+                }
+                //the values are joined with TAB chars, so a TAB within a value would split it
+                if (hasFramingCharacter(encodedValues[i])) {
+                    throw invalidCharacterError("values");
+                }
+            }
+            var obj = {
+                id: generateId(),
+                messageType: messageType.ZCLMultiReport,
+                eui64: eui64,
+                endpointId: endpointId || "0x0a",
+                profileId: profileId || "0xf100",
+                clusterId: clusterId,
+                attributeId: attributeId,
+                dataTypeId: dataTypeId,
+                timestamp: timestamp,
+                offset: offset,
+                //one does not simply pass an array into this message
+                //we join the values with tabs as specified by the protocol, a value may contain a comma
+                values: encodedValues.join(char.tab)
+            };
+            queueMessage(obj);
+            return obj;
+        }
+        /**
+         * Adds a time series of samples as ZCL Multireports wherever possible. The samples are grouped by device, cluster
+         * and attribute, within a group they are sorted by timestamp, in reverse chronological order when the last
+         * sample of the group is older than the first. Every run of at least minLength samples with equal spacing
+         * becomes a ZCL Multireport, with a negative offset when the group is in reverse chronological order. Samples
+         * that are not part of such a run are added as single ZCL reports. The series is added as a whole or not at
+         * all: when one of the messages is refused, the messages that were already added are removed again.
+         *
+         * @method JOA.addSeries
+         * @param {[Object]} samples The samples, each with a timestamp, a value, an eui64 and either the
+         * clusterId, attributeId, dataTypeId (and optionally endpointId and profileId) or the name of an attribute from
+         * the catalogue (see JOA.report()), in which case the value is scaled for you.
+         * @param {Object} [options] An object with a minLength property, the minimum number of samples of a
+         * Multireport. 3 is default.
+         * @return {[Object]} The inserted ZCL Multireports and reports, in the order in which they were added.
+         * @throws {JoaValidationError} An unknown_attribute error when a name is not in the catalogue, an
+         * invalid_value error when a value is not valid for its data type, or any error of addZCLReport() and
+         * addZCLMultiReport().
+         * @example
+         JOA.addSeries([
+            {eui64: "f104:00ff:0000:0001", name: "temperatureMeasurement.measuredValue", timestamp: 1474552384381, value: 21.5},
+            {eui64: "f104:00ff:0000:0001", name: "temperatureMeasurement.measuredValue", timestamp: 1474552444381, value: 21.6},
+            {eui64: "f104:00ff:0000:0001", name: "temperatureMeasurement.measuredValue", timestamp: 1474552504381, value: 21.8}
+         ]);
+         */
+        function addSeries(samples, options) {
+            var i,
+                groups = {},
+                keys = [],
+                added = [],
+                counter = messageId,
+                minLength = (options && options.minLength) || 3;
+            //resolve and check every sample first, so nothing is added when one of them is invalid
+            for (i = 0; i < samples.length; i += 1) {
+                var sample = samples[i],
+                    resolved = sample.name ? resolveAttribute(sample.name) : null;
+                if (sample.name && !resolved) {
+                    throw new JoaValidationError("unknown_attribute", "The attribute " + sample.name +
+                            " is not in the catalogue.", {field: "attribute"});
+                }
+                var entry = {
+                        eui64: sample.eui64,
+                        endpointId: sample.endpointId || "0x0a",
+                        profileId: sample.profileId || (resolved ? resolved.cluster.profileId : "0xf100"),
+                        clusterId: resolved ? resolved.cluster.id : sample.clusterId,
+                        attributeId: resolved ? resolved.attribute.id : sample.attributeId,
+                        dataTypeId: resolved ? resolved.attribute.dataType : sample.dataTypeId,
+                        timestamp: sample.timestamp,
+                        value: resolved ? toRawValue(resolved.attribute, sample.value) : sample.value
+                    },
+                    key = [entry.eui64, entry.endpointId, entry.profileId, entry.clusterId, entry.attributeId,
+                        entry.dataTypeId].join(char.tab);
+                if (encodeValue(entry.dataTypeId, entry.value) === null) {
+                    throw invalidValueError("value", entry.value);
+                }
+                if (!groups.hasOwnProperty(key)) {
+                    groups[key] = [];
+                    keys.push(key);
+                }
+                entry.index = i;
+                groups[key].push(entry);
+            }
+            try {
+                for (i = 0; i < keys.length; i += 1) {
+                    addGroup(groups[keys[i]], minLength, added);
+                }
+            } catch (e) {
+                //for example a message that is refused by strict validation, the series is never added in part
+                for (i = added.length - 1; i >= 0; i -= 1) {
+                    removeMessage(added[i].id);
+                }
+                messageId = counter;
+                throw e;
+            }
+            return added;
+        }
+        /**
+         * Adds the samples of a single device, cluster and attribute for addSeries(). <br/>
+         *
+         * @method JOA.addGroup
+         * @param {[Object]} group The samples.
+         * @param {Integer} minLength The minimum number of samples of a Multireport.
+         * @param {[Object]} added The inserted messages, every message is pushed as soon as it is inserted.
+         * @private
+         */
+        function addGroup(group, minLength, added) {
+            var start = 0,
+                direction = Number(group[group.length - 1].timestamp) < Number(group[0].timestamp) ? -1 : 1;
+            function getValue(sample) {
+                return sample.value;
+            }
+            //samples with the same timestamp keep their order
+            group.sort(function (a, b) {
+                return direction * (Number(a.timestamp) - Number(b.timestamp)) || a.index - b.index;
+            });
+            while (start < group.length) {
+                var end = start + 1,
+                    first = group[start],
+                    offset = end < group.length ? group[end].timestamp - first.timestamp : 0;
+                //extend the run as long as the spacing stays the same
+                while (offset !== 0 && end < group.length && group[end].timestamp - group[end - 1].timestamp === offset) {
+                    end += 1;
+                }
+                if (offset !== 0 && end - start >= minLength) {
+                    added.push(addZCLMultiReport(first.eui64, first.endpointId, first.profileId, first.clusterId,
+                            first.attributeId, first.dataTypeId, first.timestamp, offset,
+                            group.slice(start, end).map(getValue)));
+                    start = end;
+                } else {
+                    added.push(addZCLReport(first.eui64, first.endpointId, first.profileId, first.clusterId,
+                            first.attributeId, first.dataTypeId, first.timestamp, first.value));
+                    start += 1;
+                }
+            }
+        }
+        /**
+         * Adds a ZCL command to the message queue.
+         * The id and messageType fields are automatically being set for you and can be accessed once the method returns.
+         * All objects in the queue will be parsed to JOA3 messages upon calling post().
+         *
+         * @method JOA.addZCLCommand
+         * @param {String} eui64 A 64bits address defined as an IEEE standard.
+         * @param {String} [endpointId=0x0a] When a single message device has multiple sensors of the same type, the endpointId
+         * can be used to enumerate the sensors. The range of allowed values is 1 to 239. The best value to use when only
+         * a single endpoint is used on a device is: 10 (0x0a). This field is also optional and when null is supplied 
+         * 0x0a will be used.
+         * @param {String} [profileId=0xf100] An optional ZigBee specific field, if null is supplied the default 0xf100 will be used.
+         * @param {String} clusterId Clusters are an organizational unit of attributes of the same type. For example,
+         * all temperature related attributes are defined in clusterid: 1026 (0x0402). All cluster id's must be coordinated
+         * with Munisense before usage.
+         * @param {String} isClusterSpecific A flag indicating 0 for false or 1 for true to indicate that a submitted 
+         * command is a ZigBee standard ZCL Command or a command defined for the specific use in a cluster.
+         * @param {String} commandId The command id is used to indicate what ZCL Command number is used for the submitted
+         * package. For example, a command indicating the switching of a light is CommandId: 0 (0x00) in the On/Off cluster.
+         * @param {String} timestamp The timestamp is used to indicate the occurreence of a message. This value is a
+         * positive numerical value up to 48 bits in size indicating the number of milliseconds since 1970-01-01 00:00:00
+         * UTC, not adjusting for daylight savings time or leap seconds.
+         * @param {String} value The value in an ASCII representation of the reported values.
+         * @return {Object} The inserted ZCL command.
+         * @throws {JoaValidationError} An invalid_character error when a field contains a TAB or line break, nothing
+         * is added to the queue in that case.
+         */
+        function addZCLCommand(eui64, endpointId, profileId, clusterId, isClusterSpecific, commandId, timestamp, value) {
+            var obj = {
+                id: generateId(),
+                messageType: messageType.ZCLCommand,
+                eui64: eui64,
+                endpointId: endpointId || "0x0a",
+                profileId: profileId || "0xf100",
+                clusterId: clusterId,
+                isClusterSpecific: isClusterSpecific,
+                commandId: commandId,
+                timestamp: timestamp,
+                value: value
+            };
+            queueMessage(obj);
+            return obj;
+        }
+        /**
+         * Adds a ZCL report for an attribute from the catalogue (see JOA.clusters), the ids and data type are looked up
+         * and the value is scaled for you.
+         *
+         * @method JOA.report
+         * @param {String} eui64 A 64bits address defined as an IEEE standard.
+         * @param {String} name The name of the cluster and the attribute separated by a dot, like
+         * temperatureMeasurement.measuredValue.
+         * @param value The value in the unit of the attribute, for example 21.5 for 21.5 degrees Celsius, which is
+         * reported as 2150. Any value that is not a number is passed on to addZCLReport() as it is.
+         * @param {Number} [timestamp] The timestamp of the report, now when omitted.
+         * @param {Object} [options] An object with an endpointId and profileId, the endpoint defaults to 0x0a and the
+         * profile to the profile of the cluster.
+         * @return {Object} The inserted ZCL report.
+         * @throws {JoaValidationError} An unknown_attribute error when the catalogue has no such attribute, or the
+         * errors of addZCLReport().
+         * @example
+         JOA.report("f104:00ff:0000:0001", "temperatureMeasurement.measuredValue", 21.5);
+         */
+        function report(eui64, name, value, timestamp, options) {
+            var resolved = resolveAttribute(name);
+            if (!resolved) {
+                throw new JoaValidationError("unknown_attribute", "The attribute " + name + " is not in the catalogue.", {
+                    field: "attribute"
+                });
+            }
+            options = options || {};
+            return addZCLReport(eui64, options.endpointId, options.profileId || resolved.cluster.profileId,
+                    resolved.cluster.id, resolved.attribute.id, resolved.attribute.dataType,
+                    timestamp === undefined || timestamp === null ? Date.now() : timestamp,
+                    toRawValue(resolved.attribute, value));
+        }
+        /**
+         * Clears all of the inserted messages. This function will also be invoked when a successful (iff) post() call was
+         * made. <br/>
+         *
+         * @method JOA.clearMessages
+         */
+        function clearMessages() {
+            var removed = messages;
+            setMessages([]);
+            persist();
+            emit("queue:cleared", removed);
+        }
+        /**
+         * Returns all the messages in the queue. <br/>
+         *
+         * @method JOA.getMessages
+         * @return {[Object]} An array of Javascript objects.
+         */
+        function getMessages() {
+            return messages;
+        }
+        /**
+         * Gets a sinlge message from the queue. Does not remove the message. <br/>
+         *
+         * @param id The id of the message.
+         * @method JOA.getMessage
+         * @return {Object} A message object if one is found, an empty object otherwise.
+         */
+        function getMessage(id) {
+            var i;
+            for (i = 0; i < messages.length; i += 1) {
+                if (messages[i].id === id) {
+                    return messages[i];
+                }
+            }
+            return {};
+        }
+        /**
+         * Removes a sinlge message from the queue. <br/>
+         *
+         * @param id The id of the message to be removed.
+         * @method JOA.removeMessage
+         * @return {Boolean} True if the message was removed, false otherwise.
+         */
+        function removeMessage(id) {
+            var i;
+            for (i = 0; i < messages.length; i += 1) {
+                if (messages[i].id === id) {
+                    var obj = messages[i];
+                    messages.splice(i, 1);
+                    indexIds([obj], -1);
+                    persist();
+                    emit("message:removed", obj);
+                    return true;
+                }
+            }
+            return false;
+        }
+        /**
+         * Checks wheter or not hashing is enabled in the header attributes.<br />
+         *
+         * @method JOA.isHashingEnabled
+         * @return {Boolean} True if hashing is enabled, the secret set and it's length greater than 0
+         * , false otherwise.
+         * @private
+        **/
+        function isHashingEnabled() {
+            return client.header.attribute.hash &&
+                client.header.attribute.secret &&
+                client.header.attribute.secret.length > 0;
+        }
+        /**
+         * Hashes the entire JOA payload with the secret that has been set in the header, using the signer of this
+         * client. <br/>
+         *
+         * @method JOA.hashPayload
+         * @private
+         */
+        function hashPayload(payload) {
+            //we get the first occurence of the eol in the header definition and there
+            //we will insert the generated hash header
+            var signer = client.signer || signers.md5,
+                indexOfHashHeader = payload.indexOf(char.eol),
+                hash = signer.sign(client.header.attribute.secret, payload),
+            //return the new payload with the appended hash header
+                payloadWithHash = payload.slice(0, indexOfHashHeader) + "," + signer.attribute + "=" + hash +
+                    payload.slice(indexOfHashHeader);
+            //console.log(JSON.stringify(payloadWithHash));
+            return payloadWithHash;
+        }
+        /**
+         * Will construct a syntactically valid JOA payload, essentially this is a wrapper method. First it will
+         * parse the JOA headers followed by parsing the messages in the queue. Eventually, if all went well, it
+         * will return (trough a callback) a fully parsed JOA payload. If hash is set to true in the header attributes
+         * it will generate a hash too and append it to the payload. <br/>
+         *
+         * @param {Function} cb A callback function with an error (a JoaConfigError, or a JoaValidationError when
+         * validating on serialize) and a result parameter.
+         * @param {[Object]} [list] The messages to put in the payload, all messages in the queue when omitted.
+         * @method JOA.parsePayload
+         * @private
+         @example
+         parsePayload(function (err, payload) {
+                if (err) {
+                    console.log(err);
+                } else {
+                    //we did all the things right! we got a payload
+                    console.log(payload);
+                }
+            });
+         */
+        function parsePayload(cb, list) {
+            buildPayload(list, function (err, payload) {
+                if (!err) {
+                    emit("payload:built", payload);
+                }
+                cb(err, payload);
+            });
+        }
+        /**
+         * Constructs the payload for parsePayload(), without letting the listeners know. <br/>
+         *
+         * @method JOA.buildPayload
+         * @param {[Object]} [list] The messages to put in the payload, all messages in the queue when omitted.
+         * @param {Function} cb A callback function with an error (a JoaConfigError) and a result parameter.
+         * @private
+         */
+        function buildPayload(list, cb) {
+            var validation = getValidation();
+            parseHeader(function (err, header) {
+                if (err) {
+                    cb(err, null);
+                } else if (validation && validation.on === "serialize" && !checkMessages(list || messages, validation)) {
+                    cb(invalidMessageError(validate(list)), null);
+                } else {
+                    var body = null;
+                    //a message that can not be framed is never sent, whatever the validation
+                    try {
+                        body = parseMessages(list);
+                    } catch (e) {
+                        cb(e, null);
+                        return;
+                    }
+                    //if hash is disabled we will not hash the payload
+                    if (!client.header.attribute.hash) {
+                        cb(null, header + body);
+                    //else if the hash is enabled AND the secret is also set we will hash the payload
+                    } else if (isHashingEnabled()) {
+                        var signed = null,
+                            signError = null;
+                        //a signer may fail, for example a HMAC signer when there is no crypto module
+                        try {
+                            signed = hashPayload(header + body);
+                        } catch (e) {
+                            signError = e instanceof JoaError ? e :
+                                    new JoaConfigError("signing_failed", e.message, {field: "signer", cause: e});
+                        }
+                        cb(signError, signed);
+                    //in any other cases (which is only when the hash is enabled and no secret is set)
+                    //we will return an error
+                    } else {
+                        cb(new JoaConfigError("no_secret_set", null, {field: "attribute.secret"}), null);
+                    }
+                }
+            });
+        }
+        /**
+         * Creates a reader of a payload, which creates the payload one line at a time instead of all at once. The
+         * messages are converted twice: the first time to sign and measure the payload and the second time while the
+         * payload is read. So the messages should not be changed while the payload is read. <br/>
+         *
+         * @method JOA.createPayloadReader
+         * @param {[Object]} [list] The messages to put in the payload, all messages in the queue when omitted.
+         * @param {Function} cb A callback function with an error (a JoaConfigError or JoaValidationError) and the
+         * reader, an object with a byteLength property, the size of the payload in bytes, and a read() function that
+         * returns the next line of the payload, starting with the header, or null at the end.
+         * @private
+         */
+        function createPayloadReader(list, cb) {
+            var validation = getValidation();
+            list = (list || messages).slice();
+            parseHeader(function (err, header) {
+                var signer = client.signer || signers.md5,
+                    hasher = null,
+                    previous = {},
+                    byteLength = 0,
+                    i;
+                if (err) {
+                    cb(err, null);
+                    return;
+                }
+                if (validation && validation.on === "serialize" && !checkMessages(list, validation)) {
+                    cb(invalidMessageError(validate(list)), null);
+                    return;
+                }
+                if (client.header.attribute.hash && !isHashingEnabled()) {
+                    cb(new JoaConfigError("no_secret_set", null, {field: "attribute.secret"}), null);
+                    return;
+                }
+                //the first pass signs and measures the payload, a message that can not be framed is never sent
+                try {
+                    if (isHashingEnabled()) {
+                        hasher = createHasher(signer, client.header.attribute.secret);
+                        hasher.update(header);
+                    }
+                    for (i = 0; i < list.length; i += 1) {
+                        var line = serializeMessage(list[i], previous);
+                        byteLength += utf8Length(line);
+                        if (hasher) {
+                            hasher.update(line);
+                        }
+                    }
+                    if (hasher) {
+                        header = header.slice(0, -char.eol.length) + "," + signer.attribute + "=" + hasher.digest() +
+                            char.eol;
+                    }
+                } catch (e) {
+                    cb(e instanceof JoaError ? e :
+                            new JoaConfigError("signing_failed", e.message, {field: "signer", cause: e}), null);
+                    return;
+                }
+                previous = {};
+                i = -1;
+                cb(null, {
+                    byteLength: utf8Length(header) + byteLength,
+                    read: function () {
+                        i += 1;
+                        if (i === 0) {
+                            return header;
+                        }
+                        return i <= list.length ? serializeMessage(list[i - 1], previous) : null;
+                    }
+                });
+            });
+        }
+        /**
+         * Creates the payload to post, a reader when this client streams its payloads and the payload itself
+         * otherwise. <br/>
+         *
+         * @method JOA.preparePayload
+         * @param {[Object]} [list] The messages to put in the payload, all messages in the queue when omitted.
+         * @param {Function} cb A callback function with an error and the payload or its reader.
+         * @private
+         */
+        function preparePayload(list, cb) {
+            if (client.streaming) {
+                createPayloadReader(list, cb);
+            } else {
+                parsePayload(cb, list);
+            }
+        }
+        /**
+         * Gets the status of a message based on a given parsed response. This parsed response should be
+         * an array containing all messages as Javascript objects.<br/>
+         *
+         * @param {Object} message The message (as an object) to check against a response.
+         * @param {[Object]} response The response.
+         * @method JOA.getMessageStatus
+         * @return {Object} An object containing the status of the message in the format in the example.
+         * @example
+         getMessageStatus(messageObj, respObj);
+         Returns:
+         {
+            code: 200,
+            text: "OK",
+            description: "Message is received and processed."
+         }
+         * @private
+         */
+        function getMessageStatus(message, response) {
+            return reconcileResponse(response, [message]).statuses[message.id];
+        }
+        /**
+         * Determines all the successful messages in a certain response. All successful messages will also get
+         * their status appended to the object.<br/>
+         *
+         * @param {Object} messages The messages (as an array of objects) to check against a response.
+         * @param {[Object]} response The response as gotton it from the backoffice.
+         * @method JOA.getSuccessfulMessages
+         * @return {[Object]} An array containing all the messages that came back with a 200 (OK) status.
+         * @private
+         */
+        function getSuccessfulMessages(messages, response) {
+            var i,
+                tmp = [];
+            for (i = 0; i < messages.length; i += 1) {
+                var msgStatus = getMessageStatus(messages[i], response);
+                if(msgStatus.code === 200) {
+                    messages[i].status = msgStatus;
+                    tmp.push(messages[i]);
+                }
+            }
+            return tmp;
+        }
+        /**
+         * Determines all the failed messages in a certain response. All failed messages will also get
+         * their status appended to the object. <br/>
+         *
+         * @param {Object} messages The messages (as an array of objects) to check against a response.
+         * @param {[Object]} response The response as gotton it from the backoffice.
+         * @method JOA.getFailedMessages
+         * @return {[Object]} An array containing all the messages that came back with anything other
+         * then a 200 (OK) status.
+         * @private
+         */
+        function getFailedMessages(messages, response) {
+            var i,
+                tmp = [];
+            for (i = 0; i < messages.length; i += 1) {
+                var msgStatus = getMessageStatus(messages[i], response);
+                if(msgStatus.code !== 200) {
+                    messages[i].status = msgStatus;
+                    tmp.push(messages[i]);
+                }
+            }
+            return tmp;
+        }
+        /**
+         * Sends a payload to the backoffice using the transport of this client. <br/>
+         *
+         * @method JOA.transmit
+         * @param {String|Object} payload The payload to send, or a reader to stream it (see JOA.createPayloadReader()).
+         * @param {Function} cb A callback function with an error (a JoaTransportError, or a JoaConfigError when the
+         * payload is streamed by a transport that can not stream) and the response as it was returned by the
+         * backoffice.
+         * @private
+         */
+        function transmit(payload, cb) {
+            var request = {
+                    url: client.url,
+                    method: "POST",
+                    headers: {},
+                    body: payload,
+                    timeout: client.timeout
+                },
+                prefix = "";
+            //is debugging enabled, if so change the params and request headers accordingly
+            if (client.debug) {
+                request.headers["Content-type"] = "application/x-www-form-urlencoded";
+                prefix = "joa3[ip]=0.0.0.0&joa3[url]=https://joa3.munisense.net/&joa3[body]=";
+            } else {
+                request.headers["Content-type"] = "text/plain;charset=UTF-8";
+            }
+            if (typeof payload === "string") {
+                request.body = prefix + payload;
+            } else if (client.transport === transports.xhr || typeof require !== "function") {
+                //a readable stream only exists in Node.js
+                cb(new JoaConfigError("streaming_not_supported", "The transport of this client can not stream a " +
+                    "payload.", {field: "streaming"}), null);
+                return;
+            } else {
+                //a streamed payload is read by the transport, one message line at a time
+                request.body = null;
+                request.headers["Content-Length"] = utf8Length(prefix) + payload.byteLength;
+                request.stream = createReadable({
+                    read: function () {
+                        var chunk = prefix || payload.read();
+                        prefix = "";
+                        return chunk;
+                    }
+                });
+            }
+            var sentAt = Date.now();
+            emit("request:sent", request);
+            client.transport(request, function (err, response) {
+                if (response) {
+                    emit("response:received", response);
+                }
+                //no response at all, for example when the backoffice could not be reached
+                if (err) {
+                    cb(new JoaTransportError(err.code === "ETIMEDOUT" ? "timeout" : "network_error", err.message, {
+                        cause: err
+                    }), null);
+                } else if (response.status === 200) {
+                    //decide what to return based on the debug flag
+                    var body = getResponseBody(response.body, client.debug);
+                    updateClockOffset(parseResponse(body), sentAt, Date.now());
+                    cb(null, body);
+                } else {
+                    cb(new JoaTransportError("http_error", "HTTP " + response.status + " " + response.statusText, {
+                        status: response.status,
+                        text: response.statusText
+                    }), null);
+                }
+            });
+        }
+        /**
+         * Learns the clock offset from the time indication in a response, if any. The backoffice time is compared to
+         * the middle of the request, so half of the round trip is accounted for. <br/>
+         *
+         * @method JOA.updateClockOffset
+         * @param {[Object]} response The parsed response.
+         * @param {Integer} sentAt The local time at which the request was sent.
+         * @param {Integer} receivedAt The local time at which the response was received.
+         * @private
+         */
+        function updateClockOffset(response, sentAt, receivedAt) {
+            var i;
+            for (i = 0; i < response.length; i += 1) {
+                var timestamp = parseInt(response[i].timestamp, 10);
+                if (response[i].type === messageType.TimeIndication && !isNaN(timestamp)) {
+                    clockOffset = timestamp - Math.round((sentAt + receivedAt) / 2);
+                    if (client.clockCorrection === "unsent") {
+                        messages.forEach(correctTimestamp);
+                        persist();
+                    }
+                }
+            }
+        }
+        /**
+         * Adds the clock offset to the timestamp of a message, taking away an offset that was applied before. Messages
+         * without a numeric timestamp are left alone. <br/>
+         *
+         * @method JOA.correctTimestamp
+         * @param {Object} message The message.
+         * @private
+         */
+        function correctTimestamp(message) {
+            var timestamp = Number(message.timestamp),
+                applied = message.clockOffset || 0;
+            if (clockOffset === null || message.timestamp === undefined || message.timestamp === null ||
+                    message.timestamp === "" || isNaN(timestamp) || applied === clockOffset) {
+                return;
+            }
+            message.timestamp = timestamp - applied + clockOffset;
+            message.clockOffset = clockOffset;
+        }
+        /**
+         * Returns the number of milliseconds the clock of the backoffice is ahead of the local clock, negative when it
+         * is behind. The offset is learned from the time indication the backoffice sends whenever the time attribute
+         * of the header is set (see JOA.header). Add it to Date.now() to get the backoffice time. <br/>
+         *
+         * @method JOA.getClockOffset
+         * @return {Integer} The offset in milliseconds or null when no time indication was received yet.
+         */
+        function getClockOffset() {
+            return clockOffset;
+        }
+        /**
+         * Posts a constructed JOA payload once, this is post() without a retry policy. Whenever batching is enabled
+         * the queue is posted in batches. <br/>
+         *
+         * @method JOA.send
+         * @param {Object} [options] The options as described at post().
+         * @param {Function} [cb] The callback as described at post().
+         * @private
+         */
+        function send(options, cb) {
+            var batching = getBatching();
+            if (batching) {
+                sendBatches(options, batching, cb);
+                return;
+            }
+            preparePayload(null, function (err, payload) {
+                if (err) {
+                    cb(err, null, null);
+                } else {
+                    //messages that are added while the request is on its way are not part of this post
+                    var sent = messages.slice();
+                    transmit(payload, function (err, respRaw) {
+                        //this else block responsibility is only to make a callback, so we can check that in the
+                        //else if statement if the function actually exists
+                        if (err) {
+                            if (cb) {
+                                cb(err, null, null);
+                            }
+                        } else {
+                            //a streamed payload has no raw messages
+                            var messagesRaw = typeof payload === "string" ? parseMessages(sent) : null,
+                                msgs = sent,
+                                respParsed = parseResponse(respRaw),
+                                sucmsgs = getSuccessfulMessages(msgs, respParsed),
+                                failmsgs = getFailedMessages(msgs, respParsed);
+                            //if all went well and the clear param is set to true
+                            //we clear the messages and make a callback, a persistent queue however never
+                            //loses a message that was not ack-ed
+                            emitStatuses(sucmsgs, failmsgs);
+                            if(options && options.clear && !client.storage) {
+                                clearSent(sent);
+                            }
+                            //if the option is set to only clear the success messages, we remove the ack-ed
+                            //messages from the JOA.messages property
+                            if(options && (options.clearOnlySuccess || (options.clear && client.storage))) {
+                                clearSent(sucmsgs);
+                            }
+                        
+                            //reset message id counter only when all messages are cleared, otherwise we might
+                            //run into duplicate id's
+                            if(getMessages().length === 0)
+                                messageId = (options && options.resetMessageIdsTo) || 0;
+                            persist();
+                            if(cb) {
+                                cb(null, {raw: respRaw, parsed: respParsed, model: reconcileResponse(respParsed, sent)}, 
+                                   {raw: messagesRaw, parsed: {success: sucmsgs, failed: failmsgs, all: msgs}});
+                            }
+                        }
+                    });
+                }
+            });
+        }
+        /**
+         * Lets the listeners know which messages were ack-ed and which were not. <br/>
+         *
+         * @method JOA.emitStatuses
+         * @param {[Object]} success The ack-ed messages.
+         * @param {[Object]} failed The messages that were not ack-ed.
+         * @private
+         */
+        function emitStatuses(success, failed) {
+            var i;
+            for (i = 0; i < success.length; i += 1) {
+                emit("message:acked", success[i]);
+            }
+            for (i = 0; i < failed.length; i += 1) {
+                emit("message:failed", failed[i]);
+            }
+        }
+        /**
+         * Removes posted messages from the queue because of the clear options of post(). <br/>
+         *
+         * @method JOA.clearSent
+         * @param {[Object]} removed The messages to remove.
+         * @private
+         */
+        function clearSent(removed) {
+            setMessages(messages.filter(function (message) {
+                return removed.indexOf(message) === -1;
+            }));
+            if (removed.length > 0) {
+                emit("queue:cleared", removed);
+            }
+        }
+        /**
+         * Merges the batching of this client with the default batching. <br/>
+         *
+         * @method JOA.getBatching
+         * @return {Object} The complete batching or null when batching is disabled.
+         * @private
+         */
+        function getBatching() {
+            var i,
+                batching = {},
+                keys = Object.keys(defaultBatching);
+            if (!client.batching) {
+                return null;
+            }
+            for (i = 0; i < keys.length; i += 1) {
+                batching[keys[i]] = client.batching[keys[i]] !== undefined ? client.batching[keys[i]] :
+                        defaultBatching[keys[i]];
+            }
+            return batching;
+        }
+        /**
+         * Splits the queue into batches that respect the limits of the batching. The size of a message is that of
+         * its uncompressed line, so a batch never exceeds maxBytes even when compressing. A single message that
+         * exceeds maxBytes on its own is put in a batch of its own. <br/>
+         *
+         * @method JOA.splitBatches
+         * @param {Object} batching The batching.
+         * @param {Integer} headerBytes The number of bytes of the header, including the hash attribute.
+         * @return {[[Object]]} An array of batches, each batch is an array of messages.
+         * @private
+         */
+        function splitBatches(batching, headerBytes) {
+            var i,
+                batches = [],
+                batch = [],
+                bytes = headerBytes;
+            for (i = 0; i < messages.length; i += 1) {
+                var messageBytes = utf8Length(parseMessages([messages[i]]));
+                if (batch.length > 0 && ((batching.maxMessages && batch.length >= batching.maxMessages) ||
+                        (batching.maxBytes && bytes + messageBytes > batching.maxBytes))) {
+                    batches.push(batch);
+                    batch = [];
+                    bytes = headerBytes;
+                }
+                batch.push(messages[i]);
+                bytes += messageBytes;
+            }
+            if (batch.length > 0) {
+                batches.push(batch);
+            }
+            return batches;
+        }
+        /**
+         * Posts the queue in batches, at most batching.concurrency batches are being posted at the same time. Every
+         * batch is a payload of its own, with its own hash. Once all batches are posted the results are combined. <br/>
+         *
+         * @method JOA.sendBatches
+         * @param {Object} [options] The options as described at post().
+         * @param {Object} batching The batching.
+         * @param {Function} [cb] The callback as described at post().
+         * @private
+         */
+        function sendBatches(options, batching, cb) {
+            var headerBytes = 0,
+                error = null,
+                batches,
+                results = [],
+                next = 0,
+                running = 0,
+                finished = 0,
+                streamed = false;
+            buildPayload([], function (err, payload) {
+                error = err;
+                headerBytes = payload && utf8Length(payload);
+            });
+            if (error) {
+                cb(error, null, null);
+                return;
+            }
+            try {
+                batches = splitBatches(batching, headerBytes);
+            } catch (e) {
+                cb(e, null, null);
+                return;
+            }
+            function complete() {
+                var i,
+                    firstError = null,
+                    raws = [],
+                    parsed = [],
+                    success = [],
+                    failed = [],
+                    unsent = [],
+                    all = [],
+                    //every batch has a default status of its own, so the combined model has none
+                    model = {
+                        statuses: {},
+                        explicit: {},
+                        defaultStatus: null,
+                        unmatchedIds: [],
+                        unknownIds: [],
+                        timestamp: null
+                    };
+                function copy(from, to) {
+                    Object.keys(from).forEach(function (id) {
+                        to[id] = from[id];
+                    });
+                }
+                for (i = 0; i < results.length; i += 1) {
+                    all = all.concat(results[i].messages);
+                    if (results[i].err) {
+                        firstError = firstError || results[i].err;
+                        unsent = unsent.concat(results[i].messages);
+                    } else {
+                        raws.push(results[i].raw);
+                        parsed = parsed.concat(results[i].parsed);
+                        success = success.concat(results[i].success);
+                        failed = failed.concat(results[i].failed);
+                        copy(results[i].model.statuses, model.statuses);
+                        copy(results[i].model.explicit, model.explicit);
+                        model.unmatchedIds = model.unmatchedIds.concat(results[i].model.unmatchedIds);
+                        model.unknownIds = model.unknownIds.concat(results[i].model.unknownIds);
+                        model.timestamp = results[i].model.timestamp !== null ? results[i].model.timestamp :
+                                model.timestamp;
+                    }
+                }
+                //messages of a batch that could not be posted are always kept in the queue
+                emitStatuses(success, failed);
+                if (options && (options.clear || options.clearOnlySuccess)) {
+                    clearSent(options.clear && !client.storage ? success.concat(failed) : success);
+                }
+                if (getMessages().length === 0) {
+                    messageId = (options && options.resetMessageIdsTo) || 0;
+                }
+                persist();
+                if (cb) {
+                    cb(firstError, raws.length > 0 ? {raw: raws.join(""), parsed: parsed, model: model, batches: results} : null,
+                       {raw: streamed ? null : parseMessages(all), parsed: {success: success, failed: failed, unsent: unsent, all: all}});
+                }
+            }
+            function sendBatch(index) {
+                var batch = batches[index];
+                running += 1;
+                function finish(err, respRaw) {
+                    var respParsed = err ? null : parseResponse(respRaw);
+                    results[index] = {
+                        err: err,
+                        raw: respRaw,
+                        parsed: respParsed,
+                        model: err ? null : reconcileResponse(respParsed, batch),
+                        messages: batch,
+                        success: err ? [] : getSuccessfulMessages(batch, respParsed),
+                        failed: err ? [] : getFailedMessages(batch, respParsed)
+                    };
+                    running -= 1;
+                    finished += 1;
+                    if (finished === batches.length) {
+                        complete();
+                    } else {
+                        sendNext();
+                    }
+                }
+                preparePayload(batch, function (err, payload) {
+                    //a batch without a payload, for example when one of its messages is invalid, is never posted
+                    if (err) {
+                        finish(err, null);
+                    } else {
+                        streamed = streamed || typeof payload !== "string";
+                        transmit(payload, finish);
+                    }
+                });
+            }
+            function sendNext() {
+                while (running < batching.concurrency && next < batches.length) {
+                    next += 1;
+                    sendBatch(next - 1);
+                }
+            }
+            if (batches.length === 0) {
+                complete();
+            } else {
+                sendNext();
+            }
+        }
+        /**
+         * Posts a constructed JOA payload to the user given url, using the transport of this client (see JOA.transport).<br>
+         * Note: this method only resets the message id counter is the object is cleared of
+         * all messages, whenever it has message after a post action it will continue to use
+         * the current counter.
+         *
+         * @method JOA.post
+         * @param {Object} [options] An options object to use while posting. These options are available:<br>
+         * - clear {Boolean}: Set to true when the JOA object should be cleared upon a successful post action.<br>
+         * - clearOnlySuccess {Boolean}: Removes all the succes (ack-ed) messages but keeps the failed messages in
+         * the message queue, ready to be resent.<br>
+         * - resetMessageIdsTo {Integer}: An number to reset the message id counter to whenever the post successfully
+         * posts to the backoffice. 0 is default.<br>
+         * Whenever a retry policy is set (see JOA.retryPolicy) failed messages are resent automatically and the
+         * callback is only called once all messages are either ack-ed, moved to the dead letters or once the post
+         * itself failed for the last time. The queue is then managed by the retry policy, so the clear and
+         * clearOnlySuccess options are not used. The failed property of the parsed messages contains the messages
+         * that were moved to the dead letters.<br>
+         * Whenever batching is enabled (see JOA.batching) the queue is split into batches which are posted as
+         * separate payloads, each with its own hash. The results are combined: the raw response is the concatenation
+         * of all responses, the response has an additional batches property with the result of every batch and
+         * the parsed messages have an additional unsent property with the messages of the batches that could not be
+         * posted. When some batches could not be posted the error of the first of them is passed along with the
+         * results of the other batches, the unsent messages are always kept in the queue.
+         * A post while a retry is waiting takes over from that retry, the callback of the earlier post is then called
+         * with the results of the new post.
+         * @param {Function} [cb] A function used to call back to whenever the HTTP post finishes. It has
+         * an error, response and messages parameters. The response and messages parameters are objects.
+         * The response object consist of a raw and a parsed property. The raw property will output data as
+         * it was returned by the backoffice. The parsed property will evaluate the raw data and return
+         * Javascript objects, which are easily read. The message object has the same two properties, only
+         * the parsed property is also an object. Consisting of success, failed and
+         * all properties. They contain the 'ack-ed' messages, 'not ack-ed' messages and an array containing
+         * all messages. The response also has a model property with the acknowledgements reconciled with the sent
+         * messages: statuses (the status of every sent message by id), explicit (the statuses of the ids the response
+         * mentions), defaultStatus (the status of the line without ids, if any), unmatchedIds (sent ids without any
+         * status, they count as 489), unknownIds (ids in the response that were never sent) and timestamp (the time
+         * indication, if any). For an example of this method see 'Examples'. The error is a JoaConfigError when no payload
+         * could be constructed from the header and a JoaTransportError when the post itself failed.
+         * @example
+         JOA.post({
+            clear: true,
+            clearOnlySuccess: true,
+            resetMessageIdsTo: 1080
+         }, function(err, response, messages) {
+                if(err) {
+                    //something went wrong, the header could of returned an error or
+                    //the actual request failed.
+                    console.log(err);
+                }
+                if(response) {
+                    //we got a response from the server
+                    console.log(response);
+                    //these are the messages that were raw and sent to the backoffice
+                    console.log(messages.raw);
+                }
+            });
+         */
+        function post(options, cb) {
+            var policy = getRetryPolicy(),
+                attempt = 0,
+                acked = [],
+                dead = [],
+                callbacks = cb ? [cb] : [];
+            if (!policy) {
+                send(options, cb);
+                return;
+            }
+            function answer(err, response, msgs) {
+                var i;
+                for (i = 0; i < callbacks.length; i += 1) {
+                    callbacks[i](err, response, msgs);
+                }
+            }
+            function tryPost() {
+                //the payload is constructed synchronously, so these are the messages that are being sent
+                var sent = messages.slice();
+                attempt += 1;
+                send(null, function (err, response, msgs) {
+                    var i,
+                        pending = [],
+                        done = [];
+                    //no payload could be constructed, there is nothing to retry, but the batches that were posted
+                    //are handled like any other response
+                    if (err && !(err instanceof JoaTransportError) && !msgs) {
+                        answer(err, null, null);
+                        return;
+                    }
+                    for (i = 0; i < sent.length; i += 1) {
+                        //when batching only the messages of the batches that failed share the error
+                        var message = sent[i],
+                            sendErr = err && (!msgs || msgs.parsed.unsent.indexOf(message) !== -1) ? err : null,
+                            retry = sendErr ? isRetryableError(sendErr) :
+                                    policy.retryStatuses.indexOf(message.status.code) !== -1;
+                        message.attempts = message.attempts || [];
+                        message.attempts.push(sendErr ? {timestamp: Date.now(), code: sendErr.code, status: sendErr.status} :
+                                {timestamp: Date.now(), code: message.status.code});
+                        if (!sendErr && message.status.code === 200) {
+                            acked.push(message);
+                            done.push(message);
+                        } else if (retry && message.attempts.length < policy.maxAttempts) {
+                            pending.push(message);
+                        } else if (!sendErr || retry) {
+                            //permanently invalid or out of attempts, the message will never be accepted
+                            dead.push(message);
+                            deadLetters.push(message);
+                            done.push(message);
+                        }
+                    }
+                    clearSent(done);
+                    if (pending.length > 0) {
+                        persist();
+                        retryCallbacks = callbacks;
+                        retryTimer = setTimeout(function () {
+                            retryTimer = null;
+                            retryCallbacks = [];
+                            tryPost();
+                        }, getRetryDelay(policy, attempt));
+                        return;
+                    }
+                    if (getMessages().length === 0) {
+                        messageId = (options && options.resetMessageIdsTo) || 0;
+                    }
+                    persist();
+                    if (err && !msgs) {
+                        answer(err, null, null);
+                    } else {
+                        answer(err, response, {raw: msgs.raw, parsed: {success: acked, failed: dead, all: acked.concat(dead)}});
+                    }
+                });
+            }
+            //a new post takes over from a retry that is still waiting, and answers the callbacks of that post
+            if (retryTimer) {
+                clearTimeout(retryTimer);
+                retryTimer = null;
+                callbacks = retryCallbacks.concat(callbacks);
+                retryCallbacks = [];
+            }
+            tryPost();
+        }
+        /**
+         * Merges the retry policy of this client with the default retry policy. <br/>
+         *
+         * @method JOA.getRetryPolicy
+         * @return {Object} The complete retry policy or null when no retry policy is set.
+         * @private
+         */
+        function getRetryPolicy() {
+            var i,
+                policy = {},
+                keys = Object.keys(defaultRetryPolicy);
+            if (!client.retryPolicy) {
+                return null;
+            }
+            for (i = 0; i < keys.length; i += 1) {
+                policy[keys[i]] = client.retryPolicy[keys[i]] !== undefined ? client.retryPolicy[keys[i]] :
+                        defaultRetryPolicy[keys[i]];
+            }
+            return policy;
+        }
+        /**
+         * Returns the messages that were moved to the dead letters by the retry policy, these messages were
+         * permanently rejected by the backoffice or ran out of attempts. Each message has the status of its last
+         * attempt and the history of all its attempts. <br/>
+         *
+         * @method JOA.getDeadLetters
+         * @return {[Object]} An array of Javascript objects.
+         */
+        function getDeadLetters() {
+            return deadLetters;
+        }
+        /**
+         * Clears the dead letters. <br/>
+         *
+         * @method JOA.clearDeadLetters
+         */
+        function clearDeadLetters() {
+            deadLetters = [];
+            persist();
+        }
+        /**
+         * Starts flushing the queue automatically, the queue is posted on an interval, whenever it holds a number of
+         * messages or whenever its oldest message reaches a maximum age. A flush is skipped when the queue is empty
+         * and never starts while another flush is still posting, whether it was started automatically or by
+         * flushNow(). Calling it again replaces the options of the previous call.<br/>
+         * Note: a post() called directly is not coordinated with the flushes, use flushNow() instead.
+         *
+         * @method JOA.startAutoFlush
+         * @param {Object} [options] The options, any of the properties of JOA.defaultAutoFlush.
+         * @param {Function} [cb] A function called after every automatic flush with the error, response and messages
+         * parameters of post().
+         * @example
+         JOA.startAutoFlush({
+            interval: 30000,
+            maxMessages: 100,
+            maxAge: 10000
+         }, function (err, response, messages) {
+            if (err) {
+                console.log(err);
+            }
+         });
+         */
+        function startAutoFlush(options, cb) {
+            var i,
+                keys = Object.keys(defaultAutoFlush);
+            stopAutoFlush();
+            options = options || {};
+            autoFlush = {};
+            for (i = 0; i < keys.length; i += 1) {
+                autoFlush[keys[i]] = options[keys[i]] !== undefined ? options[keys[i]] : defaultAutoFlush[keys[i]];
+            }
+            autoFlushCb = cb || null;
+            if (autoFlush.interval) {
+                intervalTimer = setInterval(function () {
+                    flush(null, false);
+                }, autoFlush.interval);
+            }
+            checkAutoFlush();
+        }
+        /**
+         * Stops flushing the queue automatically, a flush that is already posting is not aborted.<br/>
+         *
+         * @method JOA.stopAutoFlush
+         */
+        function stopAutoFlush() {
+            clearInterval(intervalTimer);
+            clearTimeout(ageTimer);
+            clearTimeout(thresholdTimer);
+            intervalTimer = ageTimer = thresholdTimer = null;
+            autoFlush = autoFlushCb = null;
+        }
+        /**
+         * Flushes the queue right away. Whenever a flush is still posting the queue is flushed again once it
+         * finishes, so the messages that were queued in the meantime are posted as well. The post options of
+         * startAutoFlush() are used, or those of JOA.defaultAutoFlush when automatic flushing is stopped.<br/>
+         *
+         * @method JOA.flushNow
+         * @param {Function} [cb] A function with the error, response and messages parameters of post(), all of
+         * them are null when the queue was empty.
+         */
+        function flushNow(cb) {
+            flush(cb || null, true);
+        }
+        /**
+         * Posts the queue unless a flush is already posting. <br/>
+         *
+         * @method JOA.flush
+         * @param {Function} cb A callback function for this flush, or null.
+         * @param {Boolean} force True to flush again after a flush that is still posting, false to skip the flush.
+         * @private
+         */
+        function flush(cb, force) {
+            var callbacks;
+            if (cb) {
+                flushCallbacks.push(cb);
+            }
+            if (flushing) {
+                flushAgain = flushAgain || force;
+                return;
+            }
+            clearTimeout(ageTimer);
+            clearTimeout(thresholdTimer);
+            ageTimer = thresholdTimer = null;
+            callbacks = flushCallbacks;
+            flushCallbacks = [];
+            if (messages.length === 0) {
+                callbacks.forEach(function (callback) {
+                    callback(null, null, null);
+                });
+                return;
+            }
+            flushing = true;
+            post((autoFlush || defaultAutoFlush).postOptions, function (err, response, msgs) {
+                flushing = false;
+                callbacks.forEach(function (callback) {
+                    callback(err, response, msgs);
+                });
+                if (autoFlushCb) {
+                    autoFlushCb(err, response, msgs);
+                }
+                if (flushAgain) {
+                    flushAgain = false;
+                    flush(null, true);
+                } else if (!err) {
+                    //after a failed flush the messages that are left are flushed by the interval or the next
+                    //message that is added, otherwise an unreachable backoffice would be flushed to over and over
+                    checkAutoFlush();
+                }
+            });
+        }
+        /**
+         * Schedules a flush when the queue reached its maximum number of messages, or when its oldest message will
+         * reach its maximum age. The flush for the maximum number of messages is deferred so that the message that
+         * was just added is returned first. <br/>
+         *
+         * @method JOA.checkAutoFlush
+         * @private
+         */
+        function checkAutoFlush() {
+            if (!autoFlush || flushing || messages.length === 0) {
+                return;
+            }
+            if (autoFlush.maxMessages && messages.length >= autoFlush.maxMessages && !thresholdTimer) {
+                thresholdTimer = setTimeout(function () {
+                    thresholdTimer = null;
+                    flush(null, false);
+                }, 0);
+            }
+            if (autoFlush.maxAge && !ageTimer) {
+                ageTimer = setTimeout(function () {
+                    ageTimer = null;
+                    flush(null, false);
+                }, autoFlush.maxAge);
+            }
+        }
+        /**
+         * Saves the queue, the message id counter and the dead letters to the storage of this client, if any. Whenever
+         * a save is still in progress the state is saved again once it finishes, so the last state is always saved.
+         * A failed save is reported with the storage:error event and retried with the next change of the queue. <br/>
+         *
+         * @method JOA.persist
+         * @private
+         */
+        function persist() {
+            if (!client.storage || restoring) {
+                return;
+            }
+            if (saving) {
+                unsaved = true;
+                return;
+            }
+            saving = true;
+            client.storage.save({
+                messages: messages,
+                messageId: messageId,
+                deadLetters: deadLetters
+            }, function (err) {
+                saving = false;
+                if (err) {
+                    emit("storage:error", new JoaError("save_failed", err.message, {cause: err}));
+                }
+                if (unsaved) {
+                    unsaved = false;
+                    persist();
+                }
+            });
+        }
+        /**
+         * Sets the storage of this client and restores the queue, the message id counter and the dead letters from it.
+         * From then on every change to the queue is saved to the storage, so no message is lost when the page is
+         * reloaded or the process restarts. Messages are only removed from a persistent queue once the backoffice
+         * ack-ed them, the clear option of post() then behaves like clearOnlySuccess. Restored messages are put in
+         * front of any messages that were already in the queue, those messages get a new id whenever a restored
+         * message has the same id. When the state can not be loaded, for example an invalid_state error of a corrupt
+         * state, the storage is not used at all so the saved state is kept as it is. <br/>
+         *
+         * @method JOA.setStorage
+         * @param {Object} storage The storage, see JOA.storages.
+         * @param {Function} [cb] A callback function with an error parameter, called once the queue is restored or
+         * with the error of the storage when it could not be loaded.
+         * @example
+         JOA.setStorage(JOA.storages.localStorage("joa-queue"), function (err) {
+            if (!err) {
+                console.log(JOA.getMessages().length + " messages waiting to be sent");
+            }
+         });
+        **/
+        function setStorage(storage, cb) {
+            client.storage = storage;
+            restoring = true;
+            storage.load(function (err, state) {
+                var queued = messages,
+                    i;
+                restoring = false;
+                if (err) {
+                    client.storage = null;
+                    if (cb) {
+                        cb(err);
+                    }
+                    return;
+                }
+                if (state) {
+                    setMessages(state.messages);
+                    messageId = Math.max(messageId, state.messageId || 0);
+                    deadLetters = state.deadLetters.concat(deadLetters);
+                    //an id is never used twice, so a queued message with the id of a restored message is renumbered
+                    try {
+                        for (i = 0; i < queued.length; i += 1) {
+                            if (isIdInUse(queued[i].id)) {
+                                queued[i].id = generateId();
+                            }
+                            messages.push(queued[i]);
+                            indexIds([queued[i]], 1);
+                        }
+                    } catch (e) {
+                        err = e;
+                        setMessages(messages.concat(queued.slice(i)));
+                    }
+                }
+                persist();
+                if (cb) {
+                    cb(err || null);
+                }
+            });
+        }
+        /**
+         * Creates a readable stream of Node.js with the payload of the messages in the queue, which creates the payload
+         * one message line at a time while it is read (see JOA.streaming). The payload is signed before the first
+         * line is read. The messages should not be changed while the stream is read. Errors, like a missing vendor
+         * attribute, are emitted as an error event.<br />
+         *
+         * @method JOA.createPayloadStream
+         * @param {[Object]} [list] The messages to put in the payload, all messages in the queue when omitted.
+         * @return {Readable} The stream, with a byteLength property holding the size of the payload in bytes.
+         * @example
+         JOA.createPayloadStream().pipe(fs.createWriteStream("payload.txt"));
+        **/
+        function createPayloadStream(list) {
+            var stream = null;
+            createPayloadReader(list || null, function (err, reader) {
+                stream = createReadable(reader || {
+                    read: function () {
+                        throw err;
+                    }
+                });
+                stream.byteLength = reader ? reader.byteLength : 0;
+            });
+            return stream;
+        }
+        /**
+         * Creates an async iterator over the lines of the payload of the messages in the queue, starting with the
+         * header, just like JOA.createPayloadStream() the payload is created one line at a time. <br />
+         *
+         * @method JOA.payloadIterator
+         * @param {[Object]} [list] The messages to put in the payload, all messages in the queue when omitted.
+         * @return {Object} The iterator, its next() function returns a promise that resolves to the next line or
+         * rejects with a JoaError.
+         * @example
+         for await (var line of JOA.payloadIterator()) {
+            socket.write(line);
+         }
+        **/
+        function payloadIterator(list) {
+            var iterator = {},
+                error = null,
+                reader = null;
+            createPayloadReader(list || null, function (err, result) {
+                error = err;
+                reader = result;
+            });
+            iterator.next = function () {
+                var line;
+                try {
+                    if (error) {
+                        throw error;
+                    }
+                    line = reader.read();
+                } catch (e) {
+                    return Promise.reject(e);
+                }
+                return Promise.resolve(line === null ? {value: undefined, done: true} : {value: line, done: false});
+            };
+            if (typeof Symbol !== "undefined" && Symbol.asyncIterator) {
+                iterator[Symbol.asyncIterator] = function () {
+                    return iterator;
+                };
+            }
+            return iterator;
+        }
+        /**
+         * A representation of the object in the format of a parsed JOA payload (see also 'Example'
+         * in the JOA specification document). 
+         * It could also contain errors, if, for example, the header couldn't be contructed this
+         * toString() function will output the code of the error instead of the payload.<br />
+         *
+         * @method JOA.toString
+         * @return {String} A string based representation of a JOA payload.
+        **/
+        function toString() {
+            var ret = null;
+            parsePayload(function (err, payload) {
+                if (err) {
+                    ret = err.code;
+                } else {
+                    ret = payload;
+                }
+            });
+            return ret;
+        }
+        /**
+         * Returns the hash of the current JOA object and it's parsed messages.<br />
+         *
+         * @method JOA.toHash
+         * @return {String} The hash that will be appended to the header definition.
+        **/
+        function toHash() {
+            var ret = null;
+            parsePayload(function (err, payload) {
+                if (err) {
+                    ret = err.code;
+                } else if (isHashingEnabled()) {
+                    var attribute = "," + (client.signer || signers.md5).attribute + "=",
+                        indexOfHash = payload.indexOf(attribute) + attribute.length,
+                        indexOfLastEOL = payload.indexOf(char.eol);
+                    ret = payload.substring(indexOfHash, indexOfLastEOL);
+                } else {
+                    ret = "no_hashing_enabled";
+                }
+            });
+            return ret;
+        }
+        /**
+         * The promise based variant of parseHeader(). <br/>
+         *
+         * @method JOA.parseHeaderAsync
+         * @return {Promise} A promise that resolves to the header definition or rejects with a JoaError.
+         * @example
+         var header = await JOA.parseHeaderAsync();
+        **/
+        function parseHeaderAsync() {
+            return new Promise(function (resolve, reject) {
+                parseHeader(function (err, headerStr) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(headerStr);
+                    }
+                });
+            });
+        }
+        /**
+         * The promise based variant of parsePayload(), unlike toString() the promise never resolves to an error
+         * message instead of the payload. <br/>
+         *
+         * @method JOA.parsePayloadAsync
+         * @return {Promise} A promise that resolves to the payload or rejects with a JoaError.
+         * @example
+         try {
+            var payload = await JOA.parsePayloadAsync();
+         } catch (err) {
+            console.log(err.code);
+         }
+        **/
+        function parsePayloadAsync() {
+            return new Promise(function (resolve, reject) {
+                parsePayload(function (err, payload) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(payload);
+                    }
+                });
+            });
+        }
+        /**
+         * The promise based variant of toHash(). <br/>
+         *
+         * @method JOA.toHashAsync
+         * @return {Promise} A promise that resolves to the hash or rejects with a JoaError.
+        **/
+        function toHashAsync() {
+            return parsePayloadAsync().then(function () {
+                if (!isHashingEnabled()) {
+                    throw new JoaConfigError("no_hashing_enabled", null, {field: "attribute.hash"});
+                }
+                return toHash();
+            });
+        }
+        /**
+         * The promise based variant of post(). <br/>
+         *
+         * @method JOA.postAsync
+         * @param {Object} [options] The same options as post() accepts.
+         * @return {Promise} A promise that resolves to an object with the response and messages as post() would
+         * have called back with, or rejects with a JoaError.
+         * @example
+         var result = await JOA.postAsync({clearOnlySuccess: true});
+         console.log(result.response.parsed, result.messages.parsed.failed);
+        **/
+        function postAsync(options) {
+            return new Promise(function (resolve, reject) {
+                post(options, function (err, response, msgs) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({response: response, messages: msgs});
+                    }
+                });
+            });
+        }
+    
+        //JOA properties
+        client.header = header;
+        //JOA methods
+        client.headers = headers;
+        client.addObject = addObject;
+        client.addZCLReport = addZCLReport;
+        client.addZCLMultiReport = addZCLMultiReport;
+        client.addZCLCommand = addZCLCommand;
+        client.report = report;
+        client.addSeries = addSeries;
+        client.getMessage = getMessage;
+        client.getMessages = getMessages;
+        client.clearMessages = clearMessages;
+        client.removeMessage = removeMessage;
+        client.toString = toString;
+        client.toHash = toHash;
+        client.md5 = md5;
+        client.post = post;
+        client.getDeadLetters = getDeadLetters;
+        client.clearDeadLetters = clearDeadLetters;
+        client.setStorage = setStorage;
+        client.startAutoFlush = startAutoFlush;
+        client.stopAutoFlush = stopAutoFlush;
+        client.flushNow = flushNow;
+        client.on = on;
+        client.off = off;
+        client.getClockOffset = getClockOffset;
+        client.validate = validate;
+        client.createPayloadStream = createPayloadStream;
+        client.payloadIterator = payloadIterator;
+        client.parseHeaderAsync = parseHeaderAsync;
+        client.parsePayloadAsync = parsePayloadAsync;
+        client.toHashAsync = toHashAsync;
+        client.postAsync = postAsync;
+    
+        return client;
+    }
+    /**
+     * Encodes a string with UTF-8, every character of the returned string is a single byte. Lone surrogates are
+     * encoded as the replacement character U+FFFD, just like Node.js and the browsers do. <br/>
+     *
+     * @method JOA.utf8Encode
+     * @param {String} str The string to encode.
+     * @return {String} The bytes of the encoded string.
+     * @private
+     */
+    function utf8Encode(str) {
+        var i,
+            bytes = "";
+        for (i = 0; i < str.length; i += 1) {
+            var code = str.charCodeAt(i),
+                next = str.charCodeAt(i + 1);
+            if (code >= 0xd800 && code <= 0xdbff && next >= 0xdc00 && next <= 0xdfff) {
+                code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+                i += 1;
+            } else if (code >= 0xd800 && code <= 0xdfff) {
+                code = 0xfffd;
+            }
+            if (code < 0x80) {
+                bytes += String.fromCharCode(code);
+            } else if (code < 0x800) {
+                bytes += String.fromCharCode(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+            } else if (code < 0x10000) {
+                bytes += String.fromCharCode(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+            } else {
+                bytes += String.fromCharCode(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f),
+                        0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+            }
+        }
+        return bytes;
+    }
+    /**
+     * A minized natively approach for Javascript md5 hashing, used whenever the crypto module of Node.js is not
+     * available.<br />
+     *
+     * @method JOA.pureMd5
+     * @param {String} s String to be hashed, it is encoded with UTF-8 first.
+     * @return {String} A md5 hashed string.
+     * @private
+    **/
+    var pureMd5 = function(s){function L(k,d){return(k<<d)|(k>>>(32-d));}function K(G,k){var I,d,F,H,x;F=(G&2147483648);H=(k&2147483648);I=(G&1073741824);d=(k&1073741824);x=(G&1073741823)+(k&1073741823);if(I&d){return(x^2147483648^F^H);}if(I|d){if(x&1073741824){return(x^3221225472^F^H);}else{return(x^1073741824^F^H);}}else{return(x^F^H);}}function r(d,F,k){return(d&F)|((~d)&k);}function q(d,F,k){return(d&k)|(F&(~k));}function p(d,F,k){return(d^F^k);}function n(d,F,k){return(F^(d|(~k)));}function u(G,F,aa,Z,k,H,I){G=K(G,K(K(r(F,aa,Z),k),I));return K(L(G,H),F);}function f(G,F,aa,Z,k,H,I){G=K(G,K(K(q(F,aa,Z),k),I));return K(L(G,H),F);}function D(G,F,aa,Z,k,H,I){G=K(G,K(K(p(F,aa,Z),k),I));return K(L(G,H),F);}function t(G,F,aa,Z,k,H,I){G=K(G,K(K(n(F,aa,Z),k),I));return K(L(G,H),F);}function e(G){var Z;var F=G.length;var x=F+8;var k=(x-(x%64))/64;var I=(k+1)*16;var aa=Array(I-1);var d=0;var H=0;while(H<F){Z=(H-(H%4))/4;d=(H%4)*8;aa[Z]=(aa[Z]| (G.charCodeAt(H)<<d));H++;}Z=(H-(H%4))/4;d=(H%4)*8;aa[Z]=aa[Z]|(128<<d);aa[I-2]=F<<3;aa[I-1]=F>>>29;return aa;}function B(x){var k="",F="",G,d;for(d=0;d<=3;d++){G=(x>>>(d*8))&255;F="0"+G.toString(16);k=k+F.substr(F.length-2,2);}return k;}var C=Array();var P,h,E,v,g,Y,X,W,V;var S=7,Q=12,N=17,M=22;var A=5,z=9,y=14,w=20;var o=4,m=11,l=16,j=23;var U=6,T=10,R=15,O=21;s=utf8Encode(s);C=e(s);Y=1732584193;X=4023233417;W=2562383102;V=271733878;for(P=0;P<C.length;P+=16){h=Y;E=X;v=W;g=V;Y=u(Y,X,W,V,C[P+0],S,3614090360);V=u(V,Y,X,W,C[P+1],Q,3905402710);W=u(W,V,Y,X,C[P+2],N,606105819);X=u(X,W,V,Y,C[P+3],M,3250441966);Y=u(Y,X,W,V,C[P+4],S,4118548399);V=u(V,Y,X,W,C[P+5],Q,1200080426);W=u(W,V,Y,X,C[P+6],N,2821735955);X=u(X,W,V,Y,C[P+7],M,4249261313);Y=u(Y,X,W,V,C[P+8],S,1770035416);V=u(V,Y,X,W,C[P+9],Q,2336552879);W=u(W,V,Y,X,C[P+10],N,4294925233);X=u(X,W,V,Y,C[P+11],M,2304563134);Y=u(Y,X,W,V,C[P+12],S,1804603682);V=u(V,Y,X,W,C[P+13],Q,4254626195);W=u(W,V,Y,X,C[P+14],N,2792965006);X=u(X,W,V,Y,C[P+15],M,1236535329);Y=f(Y,X,W,V,C[P+1],A,4129170786);V=f(V,Y,X,W,C[P+6],z,3225465664);W=f(W,V,Y,X,C[P+11],y,643717713);X=f(X,W,V,Y,C[P+0],w,3921069994);Y=f(Y,X,W,V,C[P+5],A,3593408605);V=f(V,Y,X,W,C[P+10],z,38016083);W=f(W,V,Y,X,C[P+15],y,3634488961);X=f(X,W,V,Y,C[P+4],w,3889429448);Y=f(Y,X,W,V,C[P+9],A,568446438);V=f(V,Y,X,W,C[P+14],z,3275163606);W=f(W,V,Y,X,C[P+3],y,4107603335);X=f(X,W,V,Y,C[P+8],w,1163531501);Y=f(Y,X,W,V,C[P+13],A,2850285829);V=f(V,Y,X,W,C[P+2],z,4243563512);W=f(W,V,Y,X,C[P+7],y,1735328473);X=f(X,W,V,Y,C[P+12],w,2368359562);Y=D(Y,X,W,V,C[P+5],o,4294588738);V=D(V,Y,X,W,C[P+8],m,2272392833);W=D(W,V,Y,X,C[P+11],l,1839030562);X=D(X,W,V,Y,C[P+14],j,4259657740);Y=D(Y,X,W,V,C[P+1],o,2763975236);V=D(V,Y,X,W,C[P+4],m,1272893353);W=D(W,V,Y,X,C[P+7],l,4139469664);X=D(X,W,V,Y,C[P+10],j,3200236656);Y=D(Y,X,W,V,C[P+13],o,681279174);V=D(V,Y,X,W,C[P+0],m,3936430074);W=D(W,V,Y,X,C[P+3],l,3572445317);X=D(X,W,V,Y,C[P+6],j,76029189);Y=D(Y,X,W,V,C[P+9],o,3654602809);V=D(V,Y,X,W,C[P+12],m,3873151461);W=D(W,V,Y,X,C[P+15],l,530742520);X=D(X,W,V,Y,C[P+2],j,3299628645);Y=t(Y,X,W,V,C[P+0],U,4096336452);V=t(V,Y,X,W,C[P+7],T,1126891415);W=t(W,V,Y,X,C[P+14],R,2878612391);X=t(X,W,V,Y,C[P+5],O,4237533241);Y=t(Y,X,W,V,C[P+12],U,1700485571);V=t(V,Y,X,W,C[P+3],T,2399980690);W=t(W,V,Y,X,C[P+10],R,4293915773);X=t(X,W,V,Y,C[P+1],O,2240044497);Y=t(Y,X,W,V,C[P+8],U,1873313359);V=t(V,Y,X,W,C[P+15],T,4264355552);W=t(W,V,Y,X,C[P+6],R,2734768916);X=t(X,W,V,Y,C[P+13],O,1309151649);Y=t(Y,X,W,V,C[P+4],U,4149444226);V=t(V,Y,X,W,C[P+11],T,3174756917);W=t(W,V,Y,X,C[P+2],R,718787259);X=t(X,W,V,Y,C[P+9],O,3951481745);Y=K(Y,h);X=K(X,E);W=K(W,v);V=K(V,g);}var i=B(Y)+B(X)+B(W)+B(V);return i.toLowerCase();}; 
+    /**
+     * JOA is an object used to communicate with the backoffice of Munisense. 
+     * This object will be able to construct a (syntactically) valid payload according to the ms-tech-141003-3 specification.
+     * Knowledge of the ms-tech-141003-3 document and the ZigBee cluster specification is required. <br /><br />
+     * There is no need to 'new' this object as that is being done for you. Usage is through the JOA() object. For
+     * an example implementation see 'examples'. All requests made to the backoffice are made asynchronously.<br /><br />
+     * The JOA object itself is the default client. Whenever multiple gateways need to report from the same page or
+     * process, 'new' JOA(url) (or JOA.createClient(url)) returns an isolated client. Such a client has the same
+     * properties and methods as the JOA object, but its own header, url, message queue and message id counter.<br /><br />
+     * Currently this implementation only supports the MuniRPC version 2 protocol (JOA3).
+     * Please note that there's no support for ZCLFrame's in a response from the backoffice and security levels 1 and 2 are
+     * not supported. <br/><br />
+     * ZigBee cluster specification: https://people.ece.cornell.edu/land/courses/ece4760/FinalProjects/s2011/kjb79_ajm232/pmeter/ZigBee%20Cluster%20Library.pdf
+     *
+     * @class JOA
+     * @constructor
+     * @param {String} [url=https://joa3.munisense.net] An optional parameter used to set the backoffice url.
+     * @return {JOA} An object that can be used to communicate to the backoffice.
+     * @example 
+     JOA("https://joa3.munisense.net/debug/")
+     * Initialises the JOA object with the debug interface from the backoffice url. Note: when using the debug interface
+     * through this JOA object don't forget to set JOA.debug to true.
+     @example
+     var gateway = new JOA("https://joa3.munisense.net/");
+     * Creates a new client with its own header, url and message queue, the default JOA object is left untouched.
+    **/
+    var JOA = function (url) {
+        //when used as a constructor we set up a new and isolated client
+        if (this instanceof JOA) {
+            return setupClient(this, url || "https://joa3.munisense.net/");
+        }
+        JOA.url = url || "https://joa3.munisense.net/";
+        return this;
+    };
+    /**
+     * Creates a new and isolated client, this is the same as calling 'new' JOA(url).<br/>
+     *
+     * @method JOA.createClient
+     * @param {String} [url=https://joa3.munisense.net] An optional parameter used to set the backoffice url.
+     * @return {JOA} A client with its own header, url, message queue and message id counter.
+     * @example
+     var gatewayA = JOA.createClient("https://joa3.munisense.net/"),
+         gatewayB = JOA.createClient("https://joa3.munisense.net/");
+     gatewayA.headers({
+        attribute: {vendor: "debug", time: false, hash: false, secret: null},
+        gatewayIdentifier: "10.0.0.1"
+     });
+     gatewayB.headers({
+        attribute: {vendor: "debug", time: false, hash: false, secret: null},
+        gatewayIdentifier: "10.0.0.2"
+     });
+    **/
+    function createClient(url) {
+        return new JOA(url);
+    }
     
-    //JOA properties
-    JOA.debug = debug;
-    JOA.url = url;
-    JOA.header = header;
+    //the JOA object itself is the default client
+    setupClient(JOA, null);
     //JOA constructor
     JOA.prototype.constructor = JOA;
-    //JOA methods
-    JOA.headers = headers;
-    JOA.addObject = addObject;
-    JOA.addZCLReport = addZCLReport;
-    JOA.addZCLMultiReport = addZCLMultiReport;
-    JOA.addZCLCommand = addZCLCommand;
-    JOA.getMessage = getMessage;
-    JOA.getMessages = getMessages;
-    JOA.clearMessages = clearMessages;
-    JOA.removeMessage = removeMessage;
-    JOA.toString = toString;
-    JOA.toHash = toHash;
-    JOA.md5 = md5;
-    JOA.post = post;
+    JOA.createClient = createClient;
+    JOA.decodePayload = decodePayload;
+    JOA.decodePayloadAsync = decodePayloadAsync;
+    JOA.JoaError = JoaError;
+    JOA.JoaConfigError = JoaConfigError;
+    JOA.JoaValidationError = JoaValidationError;
+    JOA.JoaTransportError = JoaTransportError;
+    JOA.JoaProtocolError = JoaProtocolError;
+    JOA.dataTypes = dataTypes;
+    JOA.encodeValue = encodeValue;
+    JOA.clusters = clusters;
+    JOA.messageSchemas = messageSchemas;
+    JOA.transports = transports;
+    JOA.defaultRetryPolicy = defaultRetryPolicy;
+    JOA.storages = storages;
+    JOA.defaultBatching = defaultBatching;
+    JOA.defaultIdAllocation = defaultIdAllocation;
+    JOA.defaultAutoFlush = defaultAutoFlush;
+    JOA.defaultValidation = defaultValidation;
+    JOA.validateMessage = validateMessage;
+    JOA.signers = signers;
+    JOA.parseResponse = parseResponse;
+    JOA.reconcileResponse = reconcileResponse;
     
     return JOA;
 }());
@@ -1,5 +1,46 @@
 var JOA = require("../src/JOA.js");
 
+//the header of a client posting to the debug vendor, the given attributes override the defaults
+function debugHeaders(attribute) {
+    var headers = {
+        attribute: {
+            vendor: "debug",
+            time: false,
+            hash: false,
+            secret: null
+        },
+        gatewayIdentifier: "10.32.16.1"
+    };
+    Object.keys(attribute || {}).forEach(function (key) {
+        headers.attribute[key] = attribute[key];
+    });
+    return headers;
+}
+
+//an isolated client with the debug header that posts to http://localhost/ through the given transport
+function createDebugClient(attribute, transport) {
+    var client = new JOA("http://localhost/");
+    client.debug = false;
+    client.headers(debugHeaders(attribute));
+    if (transport) {
+        client.transport = transport;
+    }
+    return client;
+}
+
+//queues a temperature report, at 1474552384381 with a value of 2150 unless given otherwise
+function addReport(client, timestamp, value) {
+    return client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x29",
+        timestamp === undefined ? 1474552384381 : timestamp, value === undefined ? 2150 : value);
+}
+
+//the body of a response that acks every message in the payload of a request
+function ackAll(request) {
+    return request.body.split("\n").slice(1, -1).map(function (line) {
+        return "s\t200\t" + line.split("\t")[0] + "\n";
+    }).join("");
+}
+
 describe("A JOA's object url property", function() {    
     it("should be null when initiated.", function() {
         expect(JOA.url).toBeNull();
@@ -223,7 +264,7 @@ describe("The toString and toHash function", function() {
         expect(JOA.toHash()).toEqual("2419746b3a7ed995a1caadb93c4973c3");
         //check toHash() error reporting
         JOA.header.attribute.hash = false;
-        expect(JOA.toHash()).toEqual("no_hashing_enbaled");
+        expect(JOA.toHash()).toEqual("no_hashing_enabled");
     });
 });
 
@@ -329,4 +370,2072 @@ describe("Get a sinlge message and all messages from the queue", function() {
             }
         ]);
     });
-});
\ No newline at end of file
+});
+
+describe("Multiple JOA clients", function() {    
+    it("should each have their own url, header, message queue and message id counter.", function() {
+        var clientA = new JOA("https://joa3.munisense.net/debug/"),
+            clientB = JOA.createClient();
+        expect(clientA instanceof JOA).toBe(true);
+        expect(clientA.url).toEqual("https://joa3.munisense.net/debug/");
+        expect(clientB.url).toEqual("https://joa3.munisense.net/");
+        expect(JOA.url).toEqual("https://joa3.munisense.net/debug/");
+        clientA.headers({
+            attribute: {
+                vendor: "debug",
+                time: false,
+                hash: false,
+                secret: null
+            },
+            gatewayIdentifier: "10.0.0.1"
+        });
+        clientB.headers({
+            attribute: {
+                vendor: "debug",
+                time: true,
+                hash: false,
+                secret: null
+            },
+            gatewayIdentifier: "10.0.0.2"
+        });
+        var objA = clientA.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x20", 1474552384381, "1"),
+            objB = clientB.addZCLReport("f104:00ff:0000:0002", null, null, "0x0402", "0x0000", "0x20", 1474552384381, "2");
+        expect(objA.id).toEqual(1);
+        expect(objB.id).toEqual(1);
+        expect(clientA.getMessages().length).toEqual(1);
+        expect(clientB.getMessages().length).toEqual(1);
+        expect(clientA.toString()).toEqual("MuniRPCv2:10.0.0.1,vendor=debug\n1	0	f104:00ff:0000:0001	0x0a	0xf100	0x0402	0x0000	0x20	1474552384381	1\n");
+        expect(clientB.toString()).toEqual("MuniRPCv2:10.0.0.2,vendor=debug,time\n1	0	f104:00ff:0000:0002	0x0a	0xf100	0x0402	0x0000	0x20	1474552384381	2\n");
+        //the default client is left untouched
+        expect(JOA.getMessages().length).toEqual(2);
+        expect(JOA.header.gatewayIdentifier).toEqual("10.32.16.1");
+    });
+});
+
+
+describe("JOA's decodePayload() function", function() {    
+    it("should decode a payload back into the header and the message objects.", function() {
+        var client = new JOA(),
+            decoded = null;
+        client.headers({
+            attribute: {
+                vendor: "androidnode",
+                time: true,
+                hash: true,
+                secret: "waiga6ieGo4eefo2thaQuash4ahc4aid"
+            },
+            gatewayIdentifier: "10.32.16.1"
+        });
+        client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x20", 1474552384381, "1");
+        client.addZCLMultiReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x20", 1474552384381, 500, ["1", "2"]);
+        client.addZCLCommand("f104:00ff:0000:0001", null, null, "0x0402", "1", "0x12", 1474552384381, "dGVzdA==");
+        JOA.decodePayload(client.toString(), "waiga6ieGo4eefo2thaQuash4ahc4aid", function (err, result) {
+            expect(err).toBeNull();
+            decoded = result;
+        });
+        expect(decoded.gatewayIdentifier).toEqual("10.32.16.1");
+        expect(decoded.attribute).toEqual({vendor: "androidnode", time: true, hash: client.toHash()});
+        expect(decoded.hashValid).toBe(true);
+        expect(decoded.messages[0]).toEqual(client.getMessage(1));
+        expect(decoded.messages[1].values).toEqual(["1", "2"]);
+        expect(decoded.messages[1].offset).toEqual(500);
+        expect(decoded.messages[2]).toEqual(client.getMessage(3));
+    });
+    
+    it("should report an invalid hash and malformed payloads.", function() {
+        var payload = "MuniRPCv2:10.32.16.1,vendor=androidnode,time,hash=2419746b3a7ed995a1caadb93c4973c3\n4	0	f104:00ff:0000:0001	0x0a	0xf100	0x0402	0x0000	0x20	1474552384381	1\n";
+        JOA.decodePayload(payload, "waiga6ieGo4eefo2thaQuash4ahc4aid", function (err, result) {
+            expect(result.hashValid).toBe(true);
+        });
+        JOA.decodePayload(payload, "wrong_secret", function (err, result) {
+            expect(result.hashValid).toBe(false);
+        });
+        JOA.decodePayload(payload, function (err, result) {
+            expect(result.hashValid).toBeNull();
+        });
+        JOA.decodePayload("MuniRPCv1:10.32.16.1,vendor=debug\n", function (err, result) {
+            expect(err instanceof JOA.JoaProtocolError).toBe(true);
+            expect(err.code).toEqual("invalid_protocol_version");
+        });
+        JOA.decodePayload("MuniRPCv2:10.32.16.1\n", function (err, result) {
+            expect(err.code).toEqual("no_vendor_attribute_set");
+            expect(err.field).toEqual("attribute.vendor");
+        });
+        JOA.decodePayload("MuniRPCv2:10.32.16.1,vendor=debug\n1	0	f104:00ff:0000:0001\n", function (err, result) {
+            expect(err.code).toEqual("invalid_element_count");
+            expect(err.messageId).toEqual(1);
+            expect(result).toBeNull();
+        });
+    });
+});
+
+
+describe("Compressing messages", function() {    
+    it("should leave fields empty that are equal to the previous message of the same type and expand them when decoding.", function() {
+        var client = createDebugClient(),
+            decoded = null;
+        client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x29", 1474552384381, "2150");
+        client.addZCLCommand("f104:00ff:0000:0001", null, null, "0x0402", "1", "0x12", 1474552384381, "dGVzdA==");
+        client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x29", 1474552385381, "2150");
+        client.addZCLReport("f104:00ff:0000:0002", null, null, "0x0402", "0x0000", "0x29", 1474552385381, "2175");
+        var uncompressed = client.toString();
+        client.compress = true;
+        expect(client.toString()).toEqual("MuniRPCv2:10.32.16.1,vendor=debug\n" +
+            "1	0	f104:00ff:0000:0001	0x0a	0xf100	0x0402	0x0000	0x29	1474552384381	2150\n" +
+            "2	2	f104:00ff:0000:0001	0x0a	0xf100	0x0402	1	0x12	1474552384381	dGVzdA==\n" +
+            "3	0							1474552385381	\n" +
+            "4	0	f104:00ff:0000:0002							2175\n");
+        JOA.decodePayload(client.toString(), function (err, result) {
+            decoded = result;
+        });
+        expect(decoded.messages).toEqual(client.getMessages());
+        //compressing does not change the messages in the queue
+        client.compress = false;
+        expect(client.toString()).toEqual(uncompressed);
+    });
+
+    it("should never copy the payload of a command to a command without a payload.", function() {
+        var client = createDebugClient(),
+            decoded = null;
+        client.compress = true;
+        client.addZCLCommand("f104:00ff:0000:0001", null, null, "0x0006", 1, "0x01", 1474552384381, "AQI=");
+        client.addZCLCommand("f104:00ff:0000:0001", null, null, "0x0006", 1, "0x01", 1474552385381, "AQI=");
+        client.addZCLCommand("f104:00ff:0000:0001", null, null, "0x0006", 1, "0x01", 1474552386381, null);
+        expect(client.toString().split("\n").slice(2, 4)).toEqual([
+            "2\t2\t\t\t\t\t\t\t1474552385381\tAQI=",
+            "3\t2\t\t\t\t\t\t\t1474552386381\t"
+        ]);
+        JOA.decodePayload(client.toString(), function (err, result) {
+            decoded = result;
+        });
+        expect(decoded.messages[1].value).toEqual("AQI=");
+        expect(decoded.messages[2].value).toEqual("");
+    });
+});
+
+
+describe("ZCL data type encoding", function() {    
+    it("should validate and encode native values according to their data type.", function() {
+        expect(JOA.encodeValue("0x20", 255)).toEqual("255");
+        expect(JOA.encodeValue("0x20", 256)).toBeNull();
+        expect(JOA.encodeValue("0x20", "-1")).toBeNull();
+        expect(JOA.encodeValue("0x20", 1.5)).toBeNull();
+        expect(JOA.encodeValue(0x29, -2150)).toEqual("-2150");
+        expect(JOA.encodeValue("0x28", -129)).toBeNull();
+        expect(JOA.encodeValue("0x27", "18446744073709551615")).toEqual("18446744073709551615");
+        expect(JOA.encodeValue("0x27", "18446744073709551616")).toBeNull();
+        expect(JOA.encodeValue("0x2F", "-9223372036854775808")).toEqual("-9223372036854775808");
+        expect(JOA.encodeValue("0x25", 9007199254740993)).toBeNull();
+        expect(JOA.encodeValue("0x10", true)).toEqual("1");
+        expect(JOA.encodeValue("0x10", 0)).toEqual("0");
+        expect(JOA.encodeValue("0x10", 2)).toBeNull();
+        expect(JOA.encodeValue("0x30", 3)).toEqual("3");
+        expect(JOA.encodeValue("0x39", 21.5)).toEqual("21.5");
+        expect(JOA.encodeValue("0x39", 1.5e-7)).toEqual("0.00000015");
+        expect(JOA.encodeValue("0x38", 65505)).toBeNull();
+        expect(JOA.encodeValue("0x3a", NaN)).toBeNull();
+        expect(JOA.encodeValue("0x42", [104, 105])).toEqual("Amhp");
+        expect(JOA.encodeValue("0x43", [104, 105])).toEqual("AgBoaQ==");
+        //text is encoded as UTF-8, already encoded values are only taken explicitly
+        expect(JOA.encodeValue("0x42", "Muni,sense")).toEqual("Ck11bmksc2Vuc2U=");
+        expect(JOA.encodeValue("0x44", "h\u00e9")).toEqual("AwBow6k=");
+        expect(JOA.encodeValue("0x41", "test")).toEqual("BHRlc3Q=");
+        expect(JOA.encodeValue("0x42", new Array(256).join("x"))).toBeNull();
+        expect(JOA.encodeValue("0x41", {base64: "AnRl"})).toEqual("AnRl");
+        expect(JOA.encodeValue("0x41", {base64: "dGVzdA=="})).toBeNull();
+        expect(JOA.encodeValue("0x41", {base64: "not base64"})).toBeNull();
+        expect(JOA.encodeValue("0xe2", new Date(Date.UTC(2000, 0, 1, 0, 1)))).toEqual("60");
+        expect(JOA.encodeValue("0xe2", new Date(Date.UTC(1999, 11, 31)))).toBeNull();
+        //values of unknown data types and empty values are left as they are
+        expect(JOA.encodeValue("yeah", "a")).toEqual("a");
+        expect(JOA.encodeValue("0x20", "")).toEqual("");
+        if (typeof BigInt === "function") {
+            expect(JOA.encodeValue("0x27", BigInt("18446744073709551615"))).toEqual("18446744073709551615");
+        }
+    });
+    
+    it("should reject invalid values before they are added to the queue.", function() {
+        var client = new JOA();
+        var obj = client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x29", 1474552384381, -2150);
+        expect(obj.value).toEqual("-2150");
+        var multi = client.addZCLMultiReport("f104:00ff:0000:0001", null, null, "0x0006", "0x0000", "0x10", 1474552384381, 500, [true, false]);
+        expect(multi.values).toEqual("1	0");
+        try {
+            client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x29", 1474552384381, 40000);
+            fail("an invalid value should throw");
+        } catch (err) {
+            expect(err instanceof JOA.JoaValidationError).toBe(true);
+            expect(err instanceof JOA.JoaError).toBe(true);
+            expect(err instanceof Error).toBe(true);
+            expect(err.code).toEqual("invalid_value");
+            expect(err.field).toEqual("value");
+            expect(err.status.text).toEqual("Invalid Value");
+        }
+        expect(function () {
+            client.addZCLMultiReport("f104:00ff:0000:0001", null, null, "0x0006", "0x0000", "0x10", 1474552384381, 500, [true, 2]);
+        }).toThrowError(JOA.JoaValidationError);
+        expect(client.getMessages().length).toEqual(2);
+    });
+});
+
+
+describe("Posting through a transport", function() {    
+    it("should hand the payload to the transport and split the response in success and failed messages.", function() {
+        var sent = null,
+            result = null,
+            client = createDebugClient(null, function (request, cb) {
+                sent = request;
+                cb(null, {status: 200, statusText: "OK", body: "s	200\ns	487	2\n"});
+            });
+        addReport(client);
+        addReport(client, 1474552385381, 2175);
+        var payload = client.toString();
+        client.post({clearOnlySuccess: true}, function (err, response, messages) {
+            result = {err: err, response: response, messages: messages};
+        });
+        expect(sent.url).toEqual("http://localhost/");
+        expect(sent.headers["Content-type"]).toEqual("text/plain;charset=UTF-8");
+        expect(sent.body).toEqual(payload);
+        expect(result.err).toBeNull();
+        expect(result.response.raw).toEqual("s	200\ns	487	2\n");
+        expect(result.messages.parsed.success.length).toEqual(1);
+        expect(result.messages.parsed.failed[0].id).toEqual(2);
+        expect(client.getMessages().length).toEqual(1);
+    });
+    
+    it("should read the response from the pre element of the debug interface.", function() {
+        var client = new JOA("http://localhost/debug/"),
+            sent = null,
+            result = null;
+        client.headers(debugHeaders());
+        client.transport = function (request, cb) {
+            sent = request;
+            cb(null, {status: 200, statusText: "OK", body: "<html><body><pre>s	200\n</pre></body></html>"});
+        };
+        addReport(client);
+        client.post({clear: true}, function (err, response, messages) {
+            result = response;
+        });
+        expect(sent.headers["Content-type"]).toEqual("application/x-www-form-urlencoded");
+        expect(sent.body.indexOf("joa3[body]=MuniRPCv2:10.32.16.1")).not.toEqual(-1);
+        expect(result.raw).toEqual("s	200\n");
+        expect(client.getMessages().length).toEqual(0);
+    });
+    
+    it("should report HTTP and network errors.", function() {
+        var client = createDebugClient(),
+            errors = [];
+        addReport(client);
+        client.transport = function (request, cb) {
+            cb(null, {status: 503, statusText: "Service Unavailable", body: ""});
+        };
+        client.post(null, function (err) {
+            errors.push(err);
+        });
+        client.transport = function (request, cb) {
+            cb(new Error("connect ECONNREFUSED"), null);
+        };
+        client.post(null, function (err) {
+            errors.push(err);
+        });
+        expect(errors[0] instanceof JOA.JoaTransportError).toBe(true);
+        expect(errors[0].code).toEqual("http_error");
+        expect(errors[0].status).toEqual(503);
+        expect(errors[0].text).toEqual("Service Unavailable");
+        expect(errors[1].code).toEqual("network_error");
+        expect(errors[1].cause.message).toEqual("connect ECONNREFUSED");
+        expect(client.getMessages().length).toEqual(1);
+    });
+    
+    it("should post using the http module of Node.js.", function(done) {
+        var http = require("http"),
+            server = http.createServer(function (req, res) {
+                var body = "";
+                req.on("data", function (chunk) {
+                    body += chunk;
+                });
+                req.on("end", function () {
+                    expect(req.method).toEqual("POST");
+                    expect(req.headers["content-type"]).toEqual("text/plain;charset=UTF-8");
+                    expect(body).toEqual(client.toString());
+                    res.end("s	200\n");
+                });
+            }),
+            client = createDebugClient(null, JOA.transports.node);
+        addReport(client);
+        server.listen(0, "127.0.0.1", function () {
+            client.url = "http://127.0.0.1:" + server.address().port + "/";
+            client.post({clear: true}, function (err, response, messages) {
+                expect(err).toBeNull();
+                expect(response.parsed[0].code.code).toEqual(200);
+                expect(messages.parsed.success.length).toEqual(1);
+                server.close(done);
+            });
+        });
+    });
+    
+    it("should give up on a request without a response in time.", function(done) {
+        var http = require("http"),
+            server = http.createServer(function () {}),
+            client = createDebugClient(null, JOA.transports.node);
+        client.timeout = 50;
+        addReport(client);
+        server.listen(0, "127.0.0.1", function () {
+            client.url = "http://127.0.0.1:" + server.address().port + "/";
+            client.post({clear: true}, function (err, response) {
+                expect(err instanceof JOA.JoaTransportError).toBe(true);
+                expect(err.code).toEqual("timeout");
+                expect(response).toBeNull();
+                expect(client.getMessages().length).toEqual(1);
+                server.close(done);
+            });
+        });
+    });
+});
+
+
+describe("The promise based API", function() {    
+    var client = createDebugClient({hash: true, secret: "simplesecret"});
+    addReport(client);
+    
+    it("should resolve to the header, payload and hash.", function(done) {
+        client.parseHeaderAsync().then(function (header) {
+            expect(header).toEqual("MuniRPCv2:10.32.16.1,vendor=debug\n");
+            return client.parsePayloadAsync();
+        }).then(function (payload) {
+            expect(payload).toEqual(client.toString());
+            return client.toHashAsync();
+        }).then(function (hash) {
+            expect(hash).toEqual(client.toHash());
+            return JOA.decodePayloadAsync(client.toString(), "simplesecret");
+        }).then(function (decoded) {
+            expect(decoded.hashValid).toBe(true);
+            done();
+        }).catch(done.fail);
+    });
+    
+    it("should reject with Error objects.", function(done) {
+        var broken = new JOA();
+        broken.parsePayloadAsync().then(done.fail, function (err) {
+            expect(err instanceof Error).toBe(true);
+            expect(err.code).toEqual("no_gatewayidentifier_set");
+            return JOA.decodePayloadAsync("MuniRPCv1:10.32.16.1,vendor=debug\n");
+        }).then(done.fail, function (err) {
+            expect(err.code).toEqual("invalid_protocol_version");
+            client.transport = function (request, cb) {
+                cb(null, {status: 500, statusText: "Internal Server Error", body: ""});
+            };
+            return client.postAsync();
+        }).then(done.fail, function (err) {
+            expect(err instanceof Error).toBe(true);
+            expect(err.code).toEqual("http_error");
+            expect(err.status).toEqual(500);
+            done();
+        });
+    });
+    
+    it("should resolve a post to the response and messages.", function(done) {
+        client.transport = function (request, cb) {
+            cb(null, {status: 200, statusText: "OK", body: "s	200\n"});
+        };
+        client.postAsync({clear: true}).then(function (result) {
+            expect(result.response.raw).toEqual("s	200\n");
+            expect(result.messages.parsed.success.length).toEqual(1);
+            expect(client.getMessages().length).toEqual(0);
+            done();
+        }).catch(done.fail);
+    });
+});
+
+
+describe("JOA's errors", function() {    
+    it("should carry a code, the offending field and the cause.", function() {
+        var client = createDebugClient({hash: true});
+        client.post(null, function (err) {
+            expect(err instanceof JOA.JoaConfigError).toBe(true);
+            expect(err.name).toEqual("JoaConfigError");
+            expect(err.code).toEqual("no_secret_set");
+            expect(err.field).toEqual("attribute.secret");
+            expect(err.messageId).toBeNull();
+            expect(err.cause).toBeNull();
+            expect(err.stack).toBeDefined();
+        });
+        expect(client.toString()).toEqual("no_secret_set");
+    });
+});
+
+describe("Retrying failed messages", function() {    
+    var client,
+        responses;
+    
+    beforeEach(function() {
+        jasmine.clock().install();
+        responses = [];
+        client = createDebugClient(null, function (request, cb) {
+            cb(null, responses.shift());
+        });
+        client.retryPolicy = {
+            maxAttempts: 3,
+            baseDelay: 1000,
+            jitter: 0
+        };
+        addReport(client);
+        addReport(client, 1474552385381, 2175);
+        addReport(client, 1474552386381, 2200);
+    });
+    
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+    
+    it("should resend messages with a retryable status and move invalid ones to the dead letters.", function() {
+        var result = null;
+        responses.push({status: 200, statusText: "OK", body: "s	200\ns	489	2\ns	487	3\n"});
+        responses.push({status: 200, statusText: "OK", body: "s	200\n"});
+        client.post(null, function (err, response, messages) {
+            result = {err: err, messages: messages};
+        });
+        expect(result).toBeNull();
+        expect(client.getMessages().length).toEqual(1);
+        expect(client.getDeadLetters()[0].id).toEqual(3);
+        expect(client.getDeadLetters()[0].status.code).toEqual(487);
+        jasmine.clock().tick(999);
+        expect(result).toBeNull();
+        jasmine.clock().tick(1);
+        expect(result.err).toBeNull();
+        expect(result.messages.parsed.success.length).toEqual(2);
+        expect(result.messages.parsed.failed.length).toEqual(1);
+        expect(client.getMessages().length).toEqual(0);
+        expect(client.getDeadLetters()[0].attempts.length).toEqual(1);
+        expect(result.messages.parsed.success[1].attempts.map(function (attempt) {
+            return attempt.code;
+        })).toEqual([489, 200]);
+        //the attempt history is not sent to the backoffice
+        client.addObject(result.messages.parsed.success[1]);
+        expect(client.toString().split("\n")[1].split("	").length).toEqual(10);
+    });
+    
+    it("should tell the listeners about the messages it removes from the queue.", function() {
+        var cleared = [];
+        client.on("queue:cleared", function (removed) {
+            cleared.push(removed.map(function (message) {
+                return message.id;
+            }));
+        });
+        responses.push({status: 200, statusText: "OK", body: "s	200\ns	489	2\ns	487	3\n"});
+        responses.push({status: 200, statusText: "OK", body: "s	200\n"});
+        client.post();
+        expect(cleared).toEqual([[1, 3]]);
+        jasmine.clock().tick(1000);
+        expect(cleared).toEqual([[1, 3], [2]]);
+    });
+    
+    it("should back off exponentially and give up after the maximum number of attempts.", function() {
+        var result = null;
+        responses.push({status: 503, statusText: "Service Unavailable", body: ""});
+        responses.push({status: 503, statusText: "Service Unavailable", body: ""});
+        responses.push({status: 503, statusText: "Service Unavailable", body: ""});
+        client.post(null, function (err) {
+            result = err;
+        });
+        jasmine.clock().tick(1000);
+        expect(responses.length).toEqual(1);
+        jasmine.clock().tick(1999);
+        expect(responses.length).toEqual(1);
+        jasmine.clock().tick(1);
+        expect(responses.length).toEqual(0);
+        expect(result.code).toEqual("http_error");
+        expect(client.getMessages().length).toEqual(0);
+        expect(client.getDeadLetters().length).toEqual(3);
+        expect(client.getDeadLetters()[0].attempts[2]).toEqual(jasmine.objectContaining({code: "http_error", status: 503}));
+        client.clearDeadLetters();
+        expect(client.getDeadLetters().length).toEqual(0);
+    });
+    
+    it("should answer both callbacks when a post takes over from a waiting retry.", function() {
+        var results = [];
+        responses.push({status: 200, statusText: "OK", body: "s	200\ns	489	2\n"});
+        responses.push({status: 200, statusText: "OK", body: "s	200\n"});
+        client.post(null, function (err, response, messages) {
+            results.push({err: err, messages: messages});
+        });
+        expect(results.length).toEqual(0);
+        addReport(client, 1474552387381, 2225);
+        client.post(null, function (err, response, messages) {
+            results.push({err: err, messages: messages});
+        });
+        expect(results.length).toEqual(2);
+        expect(results[0]).toEqual(results[1]);
+        expect(results[0].err).toBeNull();
+        expect(results[0].messages.parsed.success.map(function (message) {
+            return message.id;
+        })).toEqual([2, 4]);
+        expect(client.getMessages().length).toEqual(0);
+        //the retry that was taken over is never posted
+        jasmine.clock().tick(60000);
+        expect(results.length).toEqual(2);
+    });
+    
+    it("should keep flushing automatically when a post takes over from a waiting retry.", function() {
+        var flushed = [];
+        responses.push({status: 200, statusText: "OK", body: "s	200\ns	489	2\n"});
+        responses.push({status: 200, statusText: "OK", body: "s	200\n"});
+        responses.push({status: 200, statusText: "OK", body: "s	200\n"});
+        client.startAutoFlush({interval: 10000}, function (err, response, messages) {
+            flushed.push(messages.parsed.success.length);
+        });
+        client.flushNow();
+        client.post();
+        addReport(client, 1474552387381, 2225);
+        jasmine.clock().tick(10000);
+        expect(responses.length).toEqual(0);
+        expect(client.getMessages().length).toEqual(0);
+        expect(flushed).toEqual([1, 1]);
+        client.stopAutoFlush();
+    });
+    
+    it("should not retry HTTP 4xx statuses.", function() {
+        var result = null;
+        responses.push({status: 403, statusText: "Forbidden", body: ""});
+        client.post(null, function (err) {
+            result = err;
+        });
+        expect(result.status).toEqual(403);
+        expect(client.getMessages().length).toEqual(3);
+        expect(client.getDeadLetters().length).toEqual(0);
+    });
+});
+
+
+describe("A persistent message queue", function() {    
+    it("should restore the queue and message id counter from its storage.", function() {
+        var storage = JOA.storages.memory(),
+            client = new JOA(),
+            restored = new JOA(),
+            error;
+        client.setStorage(storage);
+        addReport(client);
+        addReport(client, 1474552385381, 2175);
+        client.removeMessage(1);
+        restored.setStorage(storage, function (err) {
+            error = err;
+        });
+        expect(error).toBeNull();
+        expect(restored.getMessages()).toEqual(client.getMessages());
+        expect(addReport(restored, 1474552386381, 2200).id).toEqual(3);
+    });
+    
+    it("should only remove messages that were ack-ed by the backoffice.", function() {
+        var storage = JOA.storages.memory(),
+            client = createDebugClient(null, function (request, cb) {
+                cb(null, {status: 200, statusText: "OK", body: "s	200\ns	489	2\n"});
+            }),
+            restored = new JOA();
+        client.setStorage(storage);
+        addReport(client);
+        addReport(client, 1474552385381, 2175);
+        client.post({clear: true});
+        restored.setStorage(storage);
+        expect(restored.getMessages().length).toEqual(1);
+        expect(restored.getMessages()[0].id).toEqual(2);
+    });
+    
+    it("should save to localStorage.", function() {
+        var items = {},
+            store = {
+                getItem: function (key) {
+                    return items.hasOwnProperty(key) ? items[key] : null;
+                },
+                setItem: function (key, value) {
+                    items[key] = value;
+                }
+            },
+            client = new JOA();
+        client.setStorage(JOA.storages.localStorage("joa-queue", store));
+        addReport(client);
+        expect(JSON.parse(items["joa-queue"]).messages).toEqual(client.getMessages());
+        expect(JSON.parse(items["joa-queue"]).messageId).toEqual(1);
+    });
+    
+    it("should save to a file.", function(done) {
+        var fs = require("fs"),
+            path = require("os").tmpdir() + "/joa-queue-" + process.pid + ".json",
+            client = new JOA(),
+            storage = JOA.storages.file(path);
+        client.setStorage(storage, function (err) {
+            expect(err).toBeNull();
+            addReport(client);
+            //the save of the restored (empty) queue is still in progress, the report is saved right after it
+            setTimeout(function () {
+                storage.load(function (err, state) {
+                    expect(err).toBeNull();
+                    expect(state.messages).toEqual(client.getMessages());
+                    expect(state.messageId).toEqual(1);
+                    fs.unlinkSync(path);
+                    done();
+                });
+            }, 100);
+        });
+    });
+    
+    it("should renumber queued messages that have the id of a restored message.", function() {
+        var storage = JOA.storages.memory(),
+            client = new JOA(),
+            restored = new JOA();
+        client.setStorage(storage);
+        addReport(client);
+        addReport(client, 1474552385381, 2175);
+        addReport(restored, 1474552386381, 2200);
+        restored.setStorage(storage);
+        expect(restored.getMessages().map(function (message) {
+            return message.id;
+        })).toEqual([1, 2, 3]);
+        expect(restored.getMessages()[2].value).toEqual("2200");
+        expect(restored.validate()).toEqual([]);
+        expect(addReport(restored, 1474552387381, 2225).id).toEqual(4);
+    });
+    
+    it("should report a corrupt state instead of throwing.", function(done) {
+        var fs = require("fs"),
+            path = require("os").tmpdir() + "/joa-corrupt-" + process.pid + ".json",
+            store = {
+                getItem: function () {
+                    return "{\"messages\": [";
+                }
+            },
+            errors = [];
+        JOA.storages.localStorage("joa-queue", store).load(function (err, state) {
+            errors.push(err.code);
+            expect(state).toBeNull();
+        });
+        new JOA().setStorage(JOA.storages.localStorage("joa-queue", {
+            getItem: function () {
+                return "{}";
+            },
+            setItem: function () {}
+        }), function (err) {
+            errors.push(err.code);
+        });
+        fs.writeFileSync(path, "not json", "utf8");
+        JOA.storages.file(path).load(function (err, state) {
+            errors.push(err.code);
+            expect(state).toBeNull();
+            expect(err.cause instanceof SyntaxError).toBe(true);
+            expect(errors).toEqual(["invalid_state", "invalid_state", "invalid_state"]);
+            fs.unlinkSync(path);
+            done();
+        });
+    });
+    
+    it("should keep a state that could not be loaded.", function(done) {
+        var fs = require("fs"),
+            path = require("os").tmpdir() + "/joa-kept-" + process.pid + ".json",
+            client = new JOA();
+        fs.writeFileSync(path, "{\"messages\": [", "utf8");
+        client.setStorage(JOA.storages.file(path), function (err) {
+            expect(err.code).toEqual("invalid_state");
+            expect(client.storage).toBeNull();
+            addReport(client);
+            setTimeout(function () {
+                expect(fs.readFileSync(path, "utf8")).toEqual("{\"messages\": [");
+                fs.unlinkSync(path);
+                done();
+            }, 100);
+        });
+    });
+    
+    it("should report a state that could not be saved.", function() {
+        var client = new JOA(),
+            errors = [];
+        client.setStorage({
+            load: function (cb) {
+                cb(null, null);
+            },
+            save: function (state, cb) {
+                cb(new Error("The quota is exceeded."));
+            }
+        });
+        client.on("storage:error", function (err) {
+            errors.push(err);
+        });
+        addReport(client);
+        expect(errors.length).toEqual(1);
+        expect(errors[0].code).toEqual("save_failed");
+        expect(errors[0].cause.message).toEqual("The quota is exceeded.");
+    });
+});
+
+describe("Batching in post", function() {    
+    //acks every message in the payload, except for the requests that should fail
+    function createClient(fail) {
+        var client = createDebugClient({hash: true, secret: "secret"}, function (request, cb) {
+            client.requests.push(request.body);
+            if (fail && fail(client.requests.length)) {
+                cb(null, {status: 503, statusText: "Service Unavailable", body: ""});
+                return;
+            }
+            cb(null, {status: 200, statusText: "OK", body: ackAll(request)});
+        });
+        client.requests = [];
+        for (var i = 0; i < 5; i += 1) {
+            addReport(client, 1474552384381 + i * 1000, 2150 + i);
+        }
+        return client;
+    }
+    
+    it("should post the whole queue at once when it is disabled.", function() {
+        var client = createClient();
+        client.post({clear: true});
+        expect(client.requests.length).toEqual(1);
+        expect(client.getMessages().length).toEqual(0);
+    });
+    
+    it("should split the queue by the number of messages.", function() {
+        var client = createClient(),
+            result;
+        client.batching = {maxMessages: 2};
+        client.post({clear: true}, function (err, response, messages) {
+            result = {err: err, response: response, messages: messages};
+        });
+        expect(client.requests.length).toEqual(3);
+        expect(result.err).toBeNull();
+        expect(result.response.batches.length).toEqual(3);
+        expect(result.response.parsed.length).toEqual(5);
+        expect(result.messages.parsed.success.length).toEqual(5);
+        expect(result.messages.parsed.unsent.length).toEqual(0);
+        expect(client.getMessages().length).toEqual(0);
+    });
+    
+    it("should report a batch with an invalid message as a failed batch.", function() {
+        var client = createClient(),
+            result;
+        client.batching = {maxMessages: 2};
+        client.validation = {mode: "strict", on: "serialize"};
+        client.getMessage(3).eui64 = "f104";
+        client.post({clear: true}, function (err, response, messages) {
+            result = {err: err, response: response, messages: messages};
+        });
+        expect(client.requests.length).toEqual(2);
+        expect(result.err.code).toEqual("invalid_message");
+        expect(result.response.batches[1].err.code).toEqual("invalid_message");
+        expect(result.messages.parsed.unsent.map(function (message) {
+            return message.id;
+        })).toEqual([3, 4]);
+        expect(client.getMessages().length).toEqual(2);
+    });
+    
+    it("should handle the posted batches when a retried post has a batch with an invalid message.", function() {
+        var client = createClient(),
+            result;
+        client.batching = {maxMessages: 2};
+        client.retryPolicy = {maxAttempts: 3};
+        client.validation = {mode: "strict", on: "serialize"};
+        client.getMessage(3).eui64 = "f104";
+        client.post({clear: true}, function (err, response, messages) {
+            result = {err: err, response: response, messages: messages};
+        });
+        expect(client.requests.length).toEqual(2);
+        expect(result.err.code).toEqual("invalid_message");
+        expect(result.response.batches.length).toEqual(3);
+        expect(result.messages.parsed.success.map(function (message) {
+            return message.id;
+        })).toEqual([1, 2, 5]);
+        expect(client.getMessages().map(function (message) {
+            return message.id;
+        })).toEqual([3, 4]);
+        expect(client.getDeadLetters().length).toEqual(0);
+    });
+    
+    it("should split the queue by the number of bytes and hash every batch.", function() {
+        var client = createClient(),
+            i;
+        client.batching = {maxBytes: 200};
+        client.post();
+        expect(client.requests.length).toBeGreaterThan(1);
+        for (i = 0; i < client.requests.length; i += 1) {
+            expect(Buffer.byteLength(client.requests[i])).not.toBeGreaterThan(200);
+            JOA.decodePayload(client.requests[i], "secret", function (err, decoded) {
+                expect(decoded.hashValid).toBe(true);
+            });
+        }
+    });
+    
+    it("should post a message that exceeds the byte limit in a batch of its own.", function() {
+        var client = createClient();
+        client.batching = {maxBytes: 10};
+        client.post();
+        expect(client.requests.length).toEqual(5);
+    });
+    
+    it("should keep the messages of a batch that could not be posted.", function() {
+        var client = createClient(function (request) {
+                return request === 2;
+            }),
+            result;
+        client.batching = {maxMessages: 2};
+        client.post({clear: true}, function (err, response, messages) {
+            result = {err: err, response: response, messages: messages};
+        });
+        expect(result.err.code).toEqual("http_error");
+        expect(result.response.batches[1].err).toBe(result.err);
+        expect(result.messages.parsed.success.length).toEqual(3);
+        expect(result.messages.parsed.unsent.map(function (message) {
+            return message.id;
+        })).toEqual([3, 4]);
+        expect(client.getMessages().map(function (message) {
+            return message.id;
+        })).toEqual([3, 4]);
+    });
+});
+
+describe("Automatic flushing", function() {    
+    //responds once the test calls respond(), so a post can be kept running
+    function createClient() {
+        var client = createDebugClient(null, function (request, cb) {
+            client.pending.push(function () {
+                cb(null, {status: 200, statusText: "OK", body: ackAll(request)});
+            });
+        });
+        client.pending = [];
+        client.respond = function () {
+            client.pending.shift()();
+        };
+        return client;
+    }
+    
+    beforeEach(function() {
+        jasmine.clock().install();
+    });
+    
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+    
+    it("should flush on an interval and skip an empty queue.", function() {
+        var client = createClient(),
+            flushes = 0;
+        client.startAutoFlush({interval: 1000}, function () {
+            flushes += 1;
+        });
+        jasmine.clock().tick(1000);
+        expect(client.pending.length).toEqual(0);
+        addReport(client);
+        jasmine.clock().tick(1000);
+        expect(client.pending.length).toEqual(1);
+        client.respond();
+        expect(flushes).toEqual(1);
+        expect(client.getMessages().length).toEqual(0);
+        client.stopAutoFlush();
+    });
+    
+    it("should flush when the queue reaches its maximum number of messages.", function() {
+        var client = createClient();
+        client.startAutoFlush({interval: 0, maxMessages: 2});
+        addReport(client);
+        jasmine.clock().tick(1);
+        expect(client.pending.length).toEqual(0);
+        addReport(client);
+        expect(client.getMessages().length).toEqual(2);
+        jasmine.clock().tick(1);
+        expect(client.pending.length).toEqual(1);
+        client.stopAutoFlush();
+    });
+    
+    it("should flush when the oldest message reaches its maximum age.", function() {
+        var client = createClient();
+        client.startAutoFlush({interval: 0, maxAge: 5000});
+        addReport(client);
+        jasmine.clock().tick(3000);
+        addReport(client);
+        jasmine.clock().tick(1999);
+        expect(client.pending.length).toEqual(0);
+        jasmine.clock().tick(1);
+        expect(client.pending.length).toEqual(1);
+        client.stopAutoFlush();
+    });
+    
+    it("should never post twice at the same time.", function() {
+        var client = createClient(),
+            results = [];
+        client.startAutoFlush({interval: 1000});
+        addReport(client);
+        jasmine.clock().tick(1000);
+        addReport(client);
+        client.flushNow(function (err, response, messages) {
+            results.push(messages.parsed.all.length);
+        });
+        jasmine.clock().tick(5000);
+        expect(client.pending.length).toEqual(1);
+        client.respond();
+        //the message that was added during the first flush is flushed right after it
+        expect(client.pending.length).toEqual(1);
+        client.respond();
+        expect(results).toEqual([1]);
+        expect(client.getMessages().length).toEqual(0);
+        client.stopAutoFlush();
+    });
+    
+    it("should keep the messages that were not ack-ed.", function() {
+        var client = createClient();
+        client.transport = function (request, cb) {
+            cb(null, {status: 200, statusText: "OK", body: "s\t200\ns\t489\t2\n"});
+        };
+        client.startAutoFlush({interval: 1000});
+        addReport(client);
+        addReport(client);
+        jasmine.clock().tick(1000);
+        expect(client.getMessages().map(function (message) {
+            return message.id;
+        })).toEqual([2]);
+        client.stopAutoFlush();
+    });
+    
+    it("should call back right away when flushing an empty queue.", function() {
+        var client = createClient(),
+            result;
+        client.flushNow(function (err, response, messages) {
+            result = [err, response, messages];
+        });
+        expect(result).toEqual([null, null, null]);
+    });
+});
+
+describe("Client events", function() {    
+    function createClient() {
+        var client = createDebugClient(null, function (request, cb) {
+            cb(null, {status: 200, statusText: "OK", body: "s\t200\ns\t487\t2\n"});
+        });
+        client.events = [];
+        ["message:added", "message:removed", "payload:built", "request:sent", "response:received",
+            "message:acked", "message:failed", "queue:cleared"].forEach(function (event) {
+            client.on(event, function (data) {
+                client.events.push([event, data]);
+            });
+        });
+        return client;
+    }
+    
+    it("should be emitted when the queue changes.", function() {
+        var client = createClient(),
+            first = addReport(client),
+            second = addReport(client);
+        client.removeMessage(1);
+        client.clearMessages();
+        expect(client.events).toEqual([
+            ["message:added", first],
+            ["message:added", second],
+            ["message:removed", first],
+            ["queue:cleared", [second]]
+        ]);
+    });
+    
+    it("should be emitted while posting.", function() {
+        var client = createClient(),
+            first = addReport(client),
+            second = addReport(client),
+            payload = client.toString();
+        client.events = [];
+        client.post({clear: true});
+        expect(client.events.map(function (event) {
+            return event[0];
+        })).toEqual(["payload:built", "request:sent", "response:received", "message:acked", "message:failed",
+            "queue:cleared"]);
+        expect(client.events[0][1]).toEqual(payload);
+        expect(client.events[1][1].body).toEqual(payload);
+        expect(client.events[2][1].status).toEqual(200);
+        expect(client.events[3][1]).toBe(first);
+        expect(client.events[4][1]).toBe(second);
+        expect(client.events[4][1].status.code).toEqual(487);
+        expect(client.events[5][1]).toEqual([first, second]);
+    });
+    
+    it("should no longer call a listener that was removed.", function() {
+        var client = new JOA(),
+            calls = 0;
+        function listener() {
+            calls += 1;
+        }
+        client.on("message:added", listener);
+        addReport(client);
+        client.off("message:added", listener);
+        addReport(client);
+        expect(calls).toEqual(1);
+    });
+});
+
+describe("The clock offset", function() {    
+    //the backoffice clock is 1474552384381 while the local clock is 1000
+    function createClient(clockCorrection) {
+        var client = createDebugClient({time: true}, function (request, cb) {
+            cb(null, {status: 200, statusText: "OK", body: "s\t489\nt\t1474552384381\n"});
+        });
+        client.clockCorrection = clockCorrection;
+        return client;
+    }
+    
+    beforeEach(function() {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(1000));
+    });
+    
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+    
+    it("should be null until a time indication is received.", function() {
+        var client = createClient(null);
+        expect(client.getClockOffset()).toBeNull();
+        addReport(client, 500);
+        client.post();
+        expect(client.getClockOffset()).toEqual(1474552383381);
+    });
+    
+    it("should not change any timestamps by default.", function() {
+        var client = createClient(null),
+            report = addReport(client, 500);
+        client.post();
+        expect(report.timestamp).toEqual(500);
+        expect(addReport(client, 600).timestamp).toEqual(600);
+    });
+    
+    it("should correct the timestamps of messages queued afterwards.", function() {
+        var client = createClient("new"),
+            report = addReport(client, 500);
+        client.post();
+        expect(report.timestamp).toEqual(500);
+        expect(addReport(client, 600).timestamp).toEqual(1474552383981);
+        expect(client.toString()).toContain("\t1474552383981\t");
+    });
+    
+    it("should correct the timestamps of all unsent messages once.", function() {
+        var client = createClient("unsent"),
+            report = addReport(client, 500);
+        client.post();
+        expect(report.timestamp).toEqual(1474552383881);
+        client.post();
+        expect(report.timestamp).toEqual(1474552383881);
+        expect(client.toString()).not.toContain("1474552383381");
+    });
+});
+
+describe("Message validation", function() {    
+    function codes(problems) {
+        return problems.map(function (problem) {
+            return problem.field + ":" + problem.code + ":" + problem.status.code;
+        });
+    }
+    
+    it("should accept valid messages.", function() {
+        var client = new JOA();
+        client.validation = {};
+        addReport(client);
+        client.addZCLMultiReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x29", 1474552384381, 1000, [2150, 2175]);
+        client.addZCLCommand("f104:00ff:0000:0001", null, null, "0x0006", 1, "0x01", 1474552384381, "AQI=");
+        client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0000", "0x0004", "0x42", 1474552384381, "Munisense");
+        expect(client.validate()).toEqual([]);
+    });
+    
+    it("should check the length prefix of string values.", function() {
+        var message = {id: 1, messageType: 0, eui64: "f104:00ff:0000:0001", endpointId: "0x0a", profileId: "0xf100",
+            clusterId: "0x0000", attributeId: "0x0004", dataTypeId: "0x42", timestamp: 1474552384381, value: "CU11bmlzZW5zZQ=="};
+        expect(JOA.validateMessage(message)).toEqual([]);
+        message.value = "test";
+        expect(codes(JOA.validateMessage(message))).toEqual(["value:invalid_value:487"]);
+    });
+    
+    it("should accept negative offsets and fields left empty to be copied from the previous message.", function() {
+        expect(JOA.validateMessage({id: 1, messageType: 1, eui64: "f104:00ff:0000:0001", endpointId: "0x0a", profileId: "0xf100",
+            clusterId: "0x0402", attributeId: "0x0000", dataTypeId: "0x29", timestamp: 1474552384381, offset: -1000, values: "2150"})).toEqual([]);
+        expect(JOA.validateMessage({id: 2, messageType: 0, eui64: "", endpointId: "", profileId: "", clusterId: "",
+            attributeId: "", dataTypeId: "", timestamp: "", value: ""})).toEqual([]);
+        expect(codes(JOA.validateMessage({id: 3, messageType: 1, eui64: "f104:00ff:0000:0001", endpointId: "0x0a", profileId: "0xf100",
+            clusterId: "0x0402", attributeId: "0x0000", dataTypeId: "0x29", timestamp: null, offset: 1000, values: ""})))
+            .toEqual(["timestamp:missing_field:485", "values:missing_field:485"]);
+    });
+    
+    it("should report field level problems.", function() {
+        var client = new JOA();
+        client.addZCLReport("i", "do", "tests", "every", "day", "0x29", "now", 2150);
+        client.addZCLCommand("f104:00ff:0000:0001", null, null, "0x0006", 2, "0x01", 1474552384381, "not base64");
+        client.addZCLMultiReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x29", 1474552384381, 0, [2150]);
+        expect(codes(client.validate())).toEqual([
+            "eui64:invalid_eui64:487",
+            "endpointId:invalid_endpointId:487",
+            "profileId:invalid_profileId:487",
+            "clusterId:invalid_clusterId:487",
+            "attributeId:invalid_attributeId:487",
+            "timestamp:invalid_timestamp:487",
+            "isClusterSpecific:invalid_isClusterSpecific:487",
+            "value:invalid_value:487",
+            "offset:invalid_offset:486"
+        ]);
+        expect(client.validate()[0].messageId).toEqual(1);
+    });
+    
+    it("should report the problems that lead to a wrong element count.", function() {
+        expect(codes(JOA.validateMessage({id: 1, messageType: 2, eui64: "f104:00ff:0000:0001", endpointId: "0x0a", profileId: "0xf100",
+            clusterId: "0x0006", isClusterSpecific: 1, commandId: "0x01", timestamp: 1, value: "AQ==", extra: 1})))
+            .toEqual([]);
+        expect(codes(JOA.validateMessage({id: 1, messageType: 2, eui64: "f104:00ff:0000:0001", endpointId: "0x0a", profileId: "0xf100",
+            clusterId: "0x0006", isClusterSpecific: 1, commandId: "0x01", value: "AQ=="})))
+            .toEqual(["timestamp:missing_field:484"]);
+        expect(codes(JOA.validateMessage({id: 0, messageType: 9})))
+            .toEqual(["id:invalid_id:481", "messageType:invalid_messageType:483"]);
+        expect(codes(JOA.validateMessage({id: 1})))
+            .toEqual(["messageType:missing_messageType:480"]);
+    });
+    
+    it("should refuse invalid messages on add in strict mode.", function() {
+        var client = new JOA(),
+            error;
+        client.validation = {mode: "strict", on: "add"};
+        try {
+            client.addZCLReport("i", null, null, "0x0402", "0x0000", "0x29", 1474552384381, 2150);
+        } catch (err) {
+            error = err;
+        }
+        expect(error instanceof JOA.JoaValidationError).toBe(true);
+        expect(error.code).toEqual("invalid_message");
+        expect(error.field).toEqual("eui64");
+        expect(error.status.code).toEqual(487);
+        expect(codes(error.problems)).toEqual(["eui64:invalid_eui64:487"]);
+        expect(client.getMessages().length).toEqual(0);
+        expect(addReport(client).id).toEqual(1);
+    });
+    
+    it("should refuse to construct a payload with invalid messages on serialize in strict mode.", function() {
+        var client = createDebugClient();
+        client.validation = {on: "serialize"};
+        client.addZCLReport("i", null, null, "0x0402", "0x0000", "0x29", 1474552384381, 2150);
+        expect(client.getMessages().length).toEqual(1);
+        expect(client.toString()).toEqual("invalid_message");
+    });
+    
+    it("should only report invalid messages in lenient mode.", function() {
+        var client = createDebugClient(),
+            invalid = [];
+        client.validation = {mode: "lenient", on: "add"};
+        client.on("message:invalid", function (data) {
+            invalid.push(data);
+        });
+        client.addZCLReport("i", null, null, "0x0402", "0x0000", "0x29", 1474552384381, 2150);
+        expect(client.getMessages().length).toEqual(1);
+        expect(invalid.length).toEqual(1);
+        expect(invalid[0].message).toBe(client.getMessage(1));
+        expect(codes(invalid[0].problems)).toEqual(["eui64:invalid_eui64:487"]);
+        expect(client.toString()).toContain("\ti\t");
+    });
+});
+
+describe("Signing a payload", function() {    
+    var crypto = require("crypto"),
+        vectors = {
+            "munisense_test_12345_!@#$%": "a29f04502785f7a55253d1f13ae6f487",
+            "born in Bern\r\n": "3034104d1a80c96f3f71b6274142fbfa",
+            "Münster €100 😀": "d12ed83b723e062be8f49857af9f0db3",
+            "été": "deaf6a1e9612a4d8c221e68ee23d58d2"
+        };
+    
+    function createClient(vendor) {
+        var client = createDebugClient({vendor: vendor, hash: true, secret: "sécret"});
+        client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0xf0", 1474552384381, "über");
+        return client;
+    }
+    
+    it("should hash multibyte UTF-8 byte-exact with both md5 signers.", function() {
+        Object.keys(vectors).forEach(function (str) {
+            expect(JOA.md5(str)).toEqual(vectors[str]);
+            expect(JOA.signers.pureMd5.sign("", str)).toEqual(vectors[str]);
+        });
+    });
+    
+    it("should sign payloads with non-ASCII vendor names and values.", function() {
+        var client = createClient("münster"),
+            payload = client.toString(),
+            unsigned = payload.replace(",hash=" + client.toHash(), "");
+        expect(client.toHash()).toEqual(crypto.createHash("md5").update("sécret" + unsigned, "utf8").digest("hex"));
+        client.signer = JOA.signers.pureMd5;
+        expect(client.toString()).toEqual(payload);
+        JOA.decodePayload(payload, "sécret", function (err, decoded) {
+            expect(decoded.attribute.vendor).toEqual("münster");
+            expect(decoded.hashValid).toBe(true);
+        });
+    });
+    
+    it("should sign with a HMAC signer.", function() {
+        var client = createClient("debug"),
+            unsigned;
+        client.signer = JOA.signers.hmac("sha256", "hmac");
+        unsigned = client.toString().replace(/,hmac=[0-9a-f]+/, "");
+        expect(client.toString()).toContain(",hmac=");
+        expect(client.toHash()).toEqual(crypto.createHmac("sha256", "sécret").update(unsigned, "utf8").digest("hex"));
+    });
+    
+    it("should verify a payload with the signer it was signed with.", function() {
+        var client = createClient("debug"),
+            signer = JOA.signers.hmac("sha256", "hmac"),
+            results = [];
+        client.signer = JOA.signers.hmac("sha256", "hmac");
+        JOA.decodePayload(client.toString(), "sécret", signer, function (err, decoded) {
+            results.push(decoded.hashValid);
+        });
+        JOA.decodePayload(client.toString(), "sécret", function (err, decoded) {
+            results.push(decoded.hashValid);
+        });
+        expect(results).toEqual([true, false]);
+    });
+    
+    it("should return the error of a signer that fails.", function() {
+        var client = createClient("debug");
+        client.signer = {
+            attribute: "hash",
+            sign: function () {
+                throw new Error("no key");
+            }
+        };
+        expect(client.toString()).toEqual("signing_failed");
+    });
+});
+
+describe("The response model", function() {    
+    function post(body, count) {
+        var client = createDebugClient(null, function (request, cb) {
+                cb(null, {status: 200, statusText: "OK", body: body});
+            }),
+            result,
+            i;
+        for (i = 0; i < count; i += 1) {
+            addReport(client);
+        }
+        client.post(null, function (err, response, messages) {
+            result = {response: response, messages: messages};
+        });
+        return result;
+    }
+    
+    it("should give every sent message an explicit status.", function() {
+        var model = post("s\t200\ns\t487\t2\ns\t489\t3\t9\nt\t1474552384381\n", 3).response.model;
+        expect(Object.keys(model.statuses)).toEqual(["1", "2", "3"]);
+        expect(model.statuses[1].code).toEqual(200);
+        expect(model.statuses[2].code).toEqual(487);
+        expect(model.statuses[3].code).toEqual(489);
+        expect(model.defaultStatus.code).toEqual(200);
+        expect(Object.keys(model.explicit)).toEqual(["2", "3", "9"]);
+        expect(model.unknownIds).toEqual([9]);
+        expect(model.unmatchedIds).toEqual([]);
+        expect(model.timestamp).toEqual(1474552384381);
+    });
+    
+    it("should count messages without any status as 489.", function() {
+        var result = post("s\t200\t1\n", 2);
+        expect(result.response.model.unmatchedIds).toEqual([2]);
+        expect(result.messages.parsed.failed[0].status.code).toEqual(489);
+    });
+    
+    it("should use numeric ids and compare them strictly.", function() {
+        var result = post("s\t487\t1\ns\t200\t10\n", 10);
+        expect(result.response.parsed[0].messages).toEqual([1]);
+        expect(result.messages.parsed.failed.map(function (message) {
+            return message.id;
+        })).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        expect(result.messages.parsed.success[0].id).toEqual(10);
+    });
+    
+    it("should preserve unknown status codes.", function() {
+        var result = post("s\t200\ns\t499\t1\n", 1);
+        expect(result.response.parsed[1].code.code).toEqual(499);
+        expect(result.response.parsed[1].code.text).toEqual("Unknown");
+        expect(result.messages.parsed.failed[0].status.code).toEqual(499);
+    });
+    
+    it("should keep the 487 status code.", function() {
+        expect(post("s\t487\n", 1).messages.parsed.failed[0].status).toEqual({
+            code: 487,
+            text: jasmine.any(String),
+            description: jasmine.any(String)
+        });
+    });
+});
+
+describe("The cluster catalogue", function() {    
+    it("should resolve a report to the ids, data type and scaled value.", function() {
+        var client = new JOA(),
+            report = client.report("f104:00ff:0000:0001", "temperatureMeasurement.measuredValue", 21.5, 1474552384381);
+        expect(report).toEqual({
+            id: 1,
+            messageType: 0,
+            eui64: "f104:00ff:0000:0001",
+            endpointId: "0x0a",
+            profileId: "0xf100",
+            clusterId: "0x0402",
+            attributeId: "0x0000",
+            dataTypeId: "0x29",
+            timestamp: 1474552384381,
+            value: "2150"
+        });
+    });
+    
+    it("should scale and convert the values of other clusters.", function() {
+        var client = new JOA();
+        expect(client.report("f104:00ff:0000:0001", "relativeHumidityMeasurement.measuredValue", 45.3, 1).value).toEqual("4530");
+        expect(client.report("f104:00ff:0000:0001", "pressureMeasurement.measuredValue", 101.3, 1).value).toEqual("1013");
+        expect(client.report("f104:00ff:0000:0001", "powerConfiguration.batteryVoltage", 3.1, 1).value).toEqual("31");
+        //the mains frequency is reported in units of 2 Hz
+        expect(client.report("f104:00ff:0000:0001", "powerConfiguration.mainsFrequency", 50, 1).value).toEqual("25");
+        expect(client.report("f104:00ff:0000:0001", "powerConfiguration.batteryPercentageRemaining", 50, 1).value).toEqual("100");
+        expect(client.report("f104:00ff:0000:0001", "illuminanceMeasurement.measuredValue", 1000, 1).value).toEqual("30001");
+        expect(client.report("f104:00ff:0000:0001", "basic.manufacturerName", [77, 117], 1).value).toEqual("Ak11");
+        expect(client.report("f104:00ff:0000:0001", "basic.manufacturerName", "Munisense", 1).value).toEqual("CU11bmlzZW5zZQ==");
+        expect(client.report("f104:00ff:0000:0001", "metering.currentSummationDelivered", 123456, 1).dataTypeId).toEqual("0x25");
+    });
+    
+    it("should use the given endpoint, profile and the current time.", function() {
+        var client = new JOA(),
+            before = Date.now(),
+            report = client.report("f104:00ff:0000:0001", "occupancySensing.occupancy", 1, null, {
+                endpointId: "0x01",
+                profileId: "0x0104"
+            });
+        expect(report.endpointId).toEqual("0x01");
+        expect(report.profileId).toEqual("0x0104");
+        expect(report.timestamp).not.toBeLessThan(before);
+    });
+    
+    it("should refuse attributes that are not in the catalogue.", function() {
+        var client = new JOA(),
+            error;
+        try {
+            client.report("f104:00ff:0000:0001", "temperatureMeasurement.unknown", 1);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.code).toEqual("unknown_attribute");
+        expect(client.getMessages().length).toEqual(0);
+    });
+});
+
+describe("Adding a time series", function() {    
+    function sample(timestamp, value, clusterId) {
+        return {
+            eui64: "f104:00ff:0000:0001",
+            clusterId: clusterId || "0x0402",
+            attributeId: "0x0000",
+            dataTypeId: "0x29",
+            timestamp: timestamp,
+            value: value
+        };
+    }
+    
+    function summary(messages) {
+        return messages.map(function (message) {
+            return message.messageType === 1 ?
+                    [message.clusterId, message.timestamp, message.offset, message.values] :
+                    [message.clusterId, message.timestamp, message.value];
+        });
+    }
+    
+    it("should keep commas in the values of a Multireport.", function() {
+        var client = new JOA();
+        expect(client.addZCLMultiReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0xf0", 1474552384381, 500,
+            ["1,5", "2"]).values).toEqual("1,5\t2");
+    });
+    
+    it("should group samples and add equally spaced runs as Multireports.", function() {
+        var client = new JOA(),
+            added = client.addSeries([
+                sample(1000, 1), sample(2000, 2), sample(5000, 5, "0x0405"), sample(3000, 3), sample(4000, 4)
+            ]);
+        expect(summary(added)).toEqual([
+            ["0x0402", 1000, 1000, "1\t2\t3\t4"],
+            ["0x0405", 5000, "5"]
+        ]);
+        expect(client.getMessages().length).toEqual(2);
+    });
+    
+    it("should use a negative offset for samples in reverse order.", function() {
+        var client = new JOA();
+        expect(summary(client.addSeries([sample(3000, 3), sample(2000, 2), sample(1000, 1)]))).toEqual([
+            ["0x0402", 3000, -1000, "3\t2\t1"]
+        ]);
+        expect(client.validate()).toEqual([]);
+    });
+    
+    it("should sort the samples of a group by timestamp.", function() {
+        var client = new JOA();
+        expect(summary(client.addSeries([
+            sample(1000, 1), sample(3000, 3), sample(2000, 2), sample(4000, 4), sample(5000, 5), sample(6000, 6)
+        ]))).toEqual([
+            ["0x0402", 1000, 1000, "1\t2\t3\t4\t5\t6"]
+        ]);
+        expect(summary(client.addSeries([sample(9000, 9), sample(7000, 7), sample(8000, 8)]))).toEqual([
+            ["0x0402", 9000, -1000, "9\t8\t7"]
+        ]);
+    });
+    
+    it("should fall back to single reports for irregular samples.", function() {
+        var client = new JOA();
+        expect(summary(client.addSeries([
+            sample(1000, 1), sample(1500, 2), sample(3000, 3), sample(4000, 4), sample(5000, 5), sample(5000, 6)
+        ]))).toEqual([
+            ["0x0402", 1000, "1"],
+            ["0x0402", 1500, "2"],
+            ["0x0402", 3000, 1000, "3\t4\t5"],
+            ["0x0402", 5000, "6"]
+        ]);
+    });
+    
+    it("should resolve and scale samples of the catalogue.", function() {
+        var client = new JOA();
+        expect(summary(client.addSeries([
+            {eui64: "f104:00ff:0000:0001", name: "temperatureMeasurement.measuredValue", timestamp: 0, value: 21.5},
+            {eui64: "f104:00ff:0000:0001", name: "temperatureMeasurement.measuredValue", timestamp: 60000, value: 21.6}
+        ], {minLength: 2}))).toEqual([
+            ["0x0402", 0, 60000, "2150\t2160"]
+        ]);
+    });
+    
+    it("should not add anything when a value is invalid.", function() {
+        var client = new JOA(),
+            error;
+        try {
+            client.addSeries([sample(1000, 1), sample(2000, "a")]);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.code).toEqual("invalid_value");
+        expect(client.getMessages().length).toEqual(0);
+    });
+    
+    it("should remove the added messages again when a message is refused.", function() {
+        var client = new JOA(),
+            invalid = sample(1000, 4, "0x0405"),
+            removed = [];
+        invalid.eui64 = "f104";
+        client.validation = {mode: "strict"};
+        client.on("message:removed", function (message) {
+            removed.push(message.id);
+        });
+        expect(function () {
+            client.addSeries([sample(1000, 1), sample(2000, 2), sample(3000, 3), invalid]);
+        }).toThrow(jasmine.objectContaining({code: "invalid_message"}));
+        expect(removed).toEqual([1]);
+        expect(client.getMessages().length).toEqual(0);
+        expect(client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x29", 1000, 1).id).toEqual(1);
+    });
+});
+
+describe("The joa command", function() {    
+    var cli = require("../bin/joa.js"),
+        EventEmitter = require("events").EventEmitter;
+    
+    function run(argv, input, transport) {
+        var result = {stdout: "", stderr: ""},
+            io = {
+                stdin: new EventEmitter(),
+                stdout: {write: function (text) { result.stdout += text; }},
+                stderr: {write: function (text) { result.stderr += text; }},
+                transport: transport
+            };
+        io.stdin.setEncoding = function () {};
+        cli.run(argv, io, function (code) {
+            result.code = code;
+        });
+        io.stdin.emit("data", input);
+        io.stdin.emit("end");
+        return result;
+    }
+    
+    var readings = "eui64,name,timestamp,value\n" +
+            "f104:00ff:0000:0001,temperatureMeasurement.measuredValue,1474552384381,21.5\n" +
+            "f104:00ff:0000:0001,relativeHumidityMeasurement.measuredValue,1474552384381,45\n",
+        payload = "MuniRPCv2:10.32.16.1,vendor=debug\n" +
+            "1\t0\tf104:00ff:0000:0001\t0x0a\t0xf100\t0x0402\t0x0000\t0x29\t1474552384381\t2150\n" +
+            "2\t0\tf104:00ff:0000:0001\t0x0a\t0xf100\t0x0405\t0x0000\t0x21\t1474552384381\t4500\n";
+    
+    it("should build a payload from a CSV file of readings.", function(done) {
+        var result = run(["build", "--vendor", "debug", "--gateway", "10.32.16.1"], readings);
+        setTimeout(function () {
+            expect(result.code).toEqual(0);
+            expect(result.stdout).toEqual(payload);
+            done();
+        }, 10);
+    });
+    
+    it("should read quoted CSV fields.", function(done) {
+        var result = run(["build", "--vendor", "debug", "--gateway", "10.32.16.1"],
+                "eui64,clusterId,attributeId,dataTypeId,timestamp,value\r\n" +
+                "f104:00ff:0000:0001,0x0402,0x0000,0xf0,1474552384381,\"1,5\"\r\n" +
+                "\"f104:00ff:0000:0001\",0x0402,0x0000,0xf0,1474552385381,\"say \"\"hi\"\"\"\r\n"),
+            unclosed = run(["build", "--vendor", "debug", "--gateway", "10.32.16.1"],
+                "eui64,clusterId,attributeId,dataTypeId,timestamp,value\n" +
+                "f104:00ff:0000:0001,0x0402,0x0000,0xf0,1474552384381,\"1,5\n");
+        setTimeout(function () {
+            expect(result.code).toEqual(0);
+            expect(result.stdout.split("\n").slice(1, 3).map(function (line) {
+                return line.split("\t").pop();
+            })).toEqual(["1,5", "say \"hi\""]);
+            expect(unclosed.code).toEqual(1);
+            expect(unclosed.stderr).toEqual("joa: The quoted field that starts on line 2 is not closed.\n");
+            done();
+        }, 10);
+    });
+    
+    it("should sign a payload and verify it.", function() {
+        var signed = run(["sign", "--secret", "secret"], payload);
+        expect(signed.stdout).toEqual(payload.replace("\n", ",hash=" + JOA.md5("secret" + payload) + "\n"));
+        expect(run(["sign", "--secret", "secret", "--verify"], signed.stdout).code).toEqual(0);
+        expect(run(["sign", "--secret", "other", "--verify"], signed.stdout).stdout).toEqual("invalid\n");
+    });
+    
+    it("should send a payload and print the status of every message.", function() {
+        var sent,
+            result = run(["send", "--url", "http://localhost/"], payload, function (request, cb) {
+                sent = request;
+                cb(null, {status: 200, statusText: "OK", body: "s\t200\ns\t487\t2\t7\n"});
+            });
+        expect(sent.body).toEqual(payload);
+        expect(result.stdout).toEqual("1\t200\tOK\n2\t487\tInvalid Value\n7\t487\tInvalid Value (never sent)\n");
+        expect(result.code).toEqual(1);
+    });
+    
+    it("should decode a response.", function() {
+        expect(JSON.parse(run(["decode"], "s\t200\nt\t1474552384381\n").stdout)[1]).toEqual({
+            type: "t",
+            timestamp: 1474552384381
+        });
+    });
+    
+    it("should print its usage for an unknown command.", function() {
+        var result = run(["unknown"], "");
+        expect(result.code).toEqual(2);
+        expect(result.stderr).toContain("Usage: joa");
+    });
+});
+
+describe("Posting to the mock backoffice", function() {    
+    var mock = require("../mock/server.js");
+    
+    function createClient(server, hash) {
+        var client = createDebugClient({time: true, hash: hash !== false, secret: "secret"}, server.transport);
+        addReport(client);
+        addReport(client, 1474552385381, 2175);
+        addReport(client, 1474552386381, 2200);
+        return client;
+    }
+    
+    function post(client, options) {
+        var result;
+        client.post(options, function (err, response, messages) {
+            result = {err: err, response: response, messages: messages};
+        });
+        return result;
+    }
+    
+    it("should verify the hash and decode the payload.", function() {
+        var server = mock.createServer({secret: "secret"}),
+            client = createClient(server),
+            payload = client.toString(),
+            result = post(client);
+        expect(server.requests.length).toEqual(1);
+        expect(server.requests[0].raw).toEqual(payload);
+        expect(server.requests[0].hashValid).toBe(true);
+        expect(server.requests[0].messages.length).toEqual(3);
+        expect(result.messages.parsed.success.length).toEqual(3);
+    });
+    
+    it("should verify payloads with the signer of the server.", function() {
+        var server = mock.createServer({secret: "secret", signer: JOA.signers.hmac("sha256")}),
+            client = createClient(server);
+        client.signer = JOA.signers.hmac("sha256");
+        post(client);
+        expect(server.requests[0].hashValid).toBe(true);
+    });
+    
+    it("should refuse payloads with a wrong hash.", function() {
+        var server = mock.createServer({secret: "other"}),
+            result = post(createClient(server));
+        expect(result.response.raw).toEqual("s\t482\n" + "t\t" + result.response.model.timestamp + "\n");
+        expect(result.messages.parsed.failed.length).toEqual(3);
+    });
+    
+    it("should reply with scripted statuses and time indication.", function() {
+        var server = mock.createServer({statuses: {2: 487}, time: 1474552384381}),
+            result = post(createClient(server));
+        expect(result.response.raw).toEqual("s\t200\ns\t487\t2\nt\t1474552384381\n");
+        expect(result.response.parsed[1].messages).toEqual([2]);
+        expect(result.messages.parsed.success.map(function (message) {
+            return message.id;
+        })).toEqual([1, 3]);
+        expect(result.messages.parsed.failed[0].status.code).toEqual(487);
+    });
+    
+    it("should send the most occurring status as the default status.", function() {
+        var server = mock.createServer({defaultStatus: 489, statuses: {1: 200}, time: 0});
+        expect(post(createClient(server)).response.raw).toEqual("s\t489\ns\t200\t1\nt\t0\n");
+    });
+    
+    it("should clear the queue on success.", function() {
+        var client = createClient(mock.createServer({statuses: {2: 487}}));
+        post(client, {clear: true, resetMessageIdsTo: 100});
+        expect(client.getMessages().length).toEqual(0);
+        expect(addReport(client, 1474552386381, 2200).id).toEqual(101);
+    });
+    
+    it("should only clear the ack-ed messages with clearOnlySuccess.", function() {
+        var client = createClient(mock.createServer({statuses: {2: 487}}));
+        post(client, {clearOnlySuccess: true, resetMessageIdsTo: 100});
+        expect(client.getMessages().map(function (message) {
+            return message.id;
+        })).toEqual([2]);
+        //the message id counter is only reset when the queue is empty
+        expect(addReport(client, 1474552386381, 2200).id).toEqual(4);
+    });
+    
+    it("should support the debug interface.", function() {
+        var server = mock.createServer({statuses: {3: 486}, time: 1}),
+            client = createClient(server),
+            sent,
+            result;
+        client.debug = true;
+        client.transport = function (request, cb) {
+            sent = request;
+            server.transport(request, cb);
+        };
+        result = post(client);
+        expect(sent.body.indexOf("joa3[body]=")).toBeGreaterThan(0);
+        expect(server.requests[0].messages.length).toEqual(3);
+        expect(result.response.raw).toEqual("s\t200\ns\t486\t3\nt\t1\n");
+    });
+    
+    it("should reply with a HTTP error when told so.", function() {
+        var server = mock.createServer({httpStatus: 503}),
+            result = post(createClient(server));
+        expect(result.err.code).toEqual("http_error");
+        expect(result.err.status).toEqual(503);
+    });
+    
+    it("should listen on localhost.", function(done) {
+        var server = mock.createServer({statuses: {1: 489}, time: 5}),
+            client = createClient(server, false);
+        client.transport = JOA.transports.node;
+        server.listen(0, function (err, url) {
+            expect(err).toBeNull();
+            client.url = url;
+            client.post(null, function (err, response, messages) {
+                expect(err).toBeNull();
+                expect(response.raw).toEqual("s\t200\ns\t489\t1\nt\t5\n");
+                expect(messages.parsed.failed[0].id).toEqual(1);
+                server.close(done);
+            });
+        });
+    });
+});
+
+describe("Allocating message ids", function() {    
+    var add = function (client) {
+        return addReport(client).id;
+    };
+
+    it("should never hand out an id that is still in the queue.", function() {
+        var client = new JOA();
+        client.idAllocation = {max: 3};
+        expect([add(client), add(client), add(client)]).toEqual([1, 2, 3]);
+        client.removeMessage(2);
+        expect(add(client)).toEqual(2);
+        expect(function () {
+            add(client);
+        }).toThrow(jasmine.objectContaining({code: "no_free_id"}));
+        expect(client.getMessages().length).toEqual(3);
+    });
+
+    it("should wrap around to the lowest id after the highest id.", function() {
+        var client = new JOA();
+        client.idAllocation = {min: 10, max: 11};
+        expect([add(client), add(client)]).toEqual([10, 11]);
+        client.removeMessage(10);
+        expect(add(client)).toEqual(10);
+    });
+
+    it("should skip the ids of messages that are waiting to be retried.", function() {
+        var client = createDebugClient(null, function (request, cb) {
+            cb(null, {status: 200, statusText: "OK", body: "s\t200\ns\t489\t1\n"});
+        });
+        client.idAllocation = {max: 2};
+        add(client);
+        add(client);
+        client.post({clearOnlySuccess: true});
+        expect(client.getMessages()[0].id).toEqual(1);
+        expect(add(client)).toEqual(2);
+        expect(function () {
+            add(client);
+        }).toThrow(jasmine.objectContaining({code: "no_free_id"}));
+    });
+
+    it("should refuse an id that is already in the queue.", function() {
+        var client = new JOA();
+        client.addObject({id: 1, messageType: 9, fields: ["a"]});
+        expect(function () {
+            client.addObject({id: 1, messageType: 9, fields: ["b"]});
+        }).toThrow(jasmine.objectContaining({code: "duplicate_id", messageId: 1}));
+        expect(add(client)).toEqual(2);
+        expect(client.getMessages().length).toEqual(2);
+    });
+
+    it("should refuse a range that is not made of 32 bit ids.", function() {
+        var client = new JOA();
+        [{max: 4294967296}, {min: 0}, {min: 5, max: 4}, {max: "10"}].forEach(function (allocation) {
+            client.idAllocation = allocation;
+            expect(function () {
+                add(client);
+            }).toThrow(jasmine.objectContaining({code: "invalid_id_allocation", field: "idAllocation"}));
+        });
+        expect(client.getMessages().length).toEqual(0);
+    });
+
+    it("should free the ids of removed and cleared messages.", function() {
+        var client = new JOA();
+        client.idAllocation = {
+            generator: function (isInUse) {
+                return isInUse(1) ? 2 : 1;
+            }
+        };
+        expect([add(client), add(client)]).toEqual([1, 2]);
+        client.removeMessage(1);
+        expect(add(client)).toEqual(1);
+        client.clearMessages();
+        expect(add(client)).toEqual(1);
+        expect(add(client)).toEqual(2);
+    });
+
+    it("should use a custom generator and refuse ids that can not be used.", function() {
+        var client = new JOA(),
+            ids = [7, 7, 0];
+        client.idAllocation = {
+            generator: function (isInUse) {
+                expect(isInUse(7)).toEqual(client.getMessages().length > 0);
+                return ids.shift();
+            }
+        };
+        expect(add(client)).toEqual(7);
+        expect(function () {
+            add(client);
+        }).toThrow(jasmine.objectContaining({code: "duplicate_id"}));
+        expect(function () {
+            add(client);
+        }).toThrow(jasmine.objectContaining({code: "invalid_id"}));
+        expect(client.getMessages().length).toEqual(1);
+    });
+
+    it("should save the counter in the storage of the client.", function() {
+        var storage = JOA.storages.memory(),
+            client = new JOA(),
+            restored = new JOA();
+        client.idAllocation = {max: 5};
+        restored.idAllocation = {max: 5};
+        client.setStorage(storage);
+        add(client);
+        add(client);
+        add(client);
+        add(client);
+        client.removeMessage(1);
+        client.removeMessage(2);
+        restored.setStorage(storage);
+        expect(add(restored)).toEqual(5);
+        expect(add(restored)).toEqual(1);
+    });
+});
+
+describe("The message schemas", function() {    
+    it("should write the fields in the order of the schema, whatever the order of the properties.", function() {
+        var client = createDebugClient();
+        client.addObject({
+            value: "2150",
+            timestamp: 1474552384381,
+            dataTypeId: "0x29",
+            attributeId: "0x0000",
+            clusterId: "0x0402",
+            profileId: "0xf100",
+            endpointId: "0x0a",
+            eui64: "f104:00ff:0000:0001",
+            messageType: 0,
+            id: 1
+        });
+        expect(client.toString()).toEqual("MuniRPCv2:10.32.16.1,vendor=debug\n" +
+            "1\t0\tf104:00ff:0000:0001\t0x0a\t0xf100\t0x0402\t0x0000\t0x29\t1474552384381\t2150\n");
+    });
+
+    it("should keep metadata on the messages without writing it.", function() {
+        var client = createDebugClient(),
+            message;
+        message = client.addZCLMultiReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0x29", 1474552384381, 1000, [2150, 2175]);
+        message.status = {code: 489};
+        message.tags = ["basement"];
+        expect(client.toString()).toEqual("MuniRPCv2:10.32.16.1,vendor=debug\n" +
+            "1\t1\tf104:00ff:0000:0001\t0x0a\t0xf100\t0x0402\t0x0000\t0x29\t1474552384381\t1000\t2150\t2175\n");
+        expect(client.getMessage(1).status).toEqual({code: 489});
+        expect(client.getMessage(1).tags).toEqual(["basement"]);
+        expect(client.validate()).toEqual([]);
+    });
+
+    it("should write decoded messages back to the same line.", function(done) {
+        var client = createDebugClient(),
+            payload = "MuniRPCv2:10.32.16.1,vendor=debug\n" +
+                "1\t1\tf104:00ff:0000:0001\t0x0a\t0xf100\t0x0402\t0x0000\t0x29\t1474552384381\t1000\t2150\t2175\n" +
+                "2\t9\ta\tb\n";
+        client.validation = {mode: "lenient"};
+        JOA.decodePayload(payload, null, function (err, decoded) {
+            expect(err).toBeNull();
+            decoded.messages.forEach(function (message) {
+                client.addObject(message);
+            });
+            expect(client.toString()).toEqual(payload);
+            done();
+        });
+    });
+
+    it("should be extendable with message types of a vendor.", function() {
+        var client = createDebugClient();
+        JOA.messageSchemas[42] = {name: "Custom", fields: ["id", "messageType", "eui64", "level"], optional: [], repeated: null};
+        client.addObject({level: 3, eui64: "f104:00ff:0000:0001", messageType: 42, id: 1});
+        expect(client.toString()).toEqual("MuniRPCv2:10.32.16.1,vendor=debug\n1\t42\tf104:00ff:0000:0001\t3\n");
+        expect(JOA.validateMessage({id: 1, messageType: 42, eui64: "f104:00ff:0000:0001"}).map(function (problem) {
+            return problem.field + ":" + problem.code;
+        })).toEqual(["level:missing_field"]);
+        delete JOA.messageSchemas[42];
+    });
+});
+
+describe("Characters of the payload framing", function() {    
+    it("should send commas as they are.", function() {
+        var client = createDebugClient();
+        client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0xf0", 1474552384381, "1,5");
+        client.addZCLMultiReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0xf0", 1474552384381, 1000, ["a,b", "c"]);
+        expect(client.toString()).toEqual("MuniRPCv2:10.32.16.1,vendor=debug\n" +
+            "1\t0\tf104:00ff:0000:0001\t0x0a\t0xf100\t0x0402\t0x0000\t0xf0\t1474552384381\t1,5\n" +
+            "2\t1\tf104:00ff:0000:0001\t0x0a\t0xf100\t0x0402\t0x0000\t0xf0\t1474552384381\t1000\ta,b\tc\n");
+    });
+
+    it("should refuse values with a TAB or line break.", function() {
+        var client = new JOA();
+        client.validation = {mode: "strict"};
+        expect(function () {
+            client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0xf0", 1474552384381, "1\t5");
+        }).toThrow(jasmine.objectContaining({code: "invalid_character", field: "value"}));
+        expect(JOA.validateMessage({id: 1, messageType: 2, eui64: "f104:00ff:0000:0001", endpointId: "0x0a", profileId: "0xf100",
+            clusterId: "0x0006", isClusterSpecific: 1, commandId: "0x01", timestamp: 1, value: "AQ==\r\n"})
+            .map(function (problem) {
+                return problem.field + ":" + problem.code + ":" + problem.status.code;
+            })).toEqual(["value:invalid_character:487"]);
+        expect(function () {
+            client.addZCLMultiReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0xf0", 1474552384381, 1000, ["a\tb", "c"]);
+        }).toThrow(jasmine.objectContaining({code: "invalid_character", field: "values"}));
+        expect(client.getMessages().length).toEqual(0);
+    });
+
+    it("should never send a payload with a broken framing, whatever the validation.", function() {
+        var client = createDebugClient(),
+            sent = false,
+            error;
+        client.validation = {mode: "lenient"};
+        client.transport = function (request, cb) {
+            sent = true;
+            cb(null, {status: 200, statusText: "OK", body: "s\t200\n"});
+        };
+        client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0xf0", 1474552384381, "15");
+        client.getMessage(1).value = "1\n5";
+        expect(client.toString()).toEqual("invalid_character");
+        client.post({}, function (err) {
+            error = err;
+        });
+        expect(error).toEqual(jasmine.objectContaining({code: "invalid_character", field: "value", messageId: 1}));
+        expect(sent).toBe(false);
+    });
+
+    it("should keep a message with a broken framing out of the queue, whatever the validation.", function() {
+        var client = createDebugClient(),
+            bodies = [];
+        client.validation = null;
+        client.batching = {maxMessages: 1};
+        client.transport = function (request, cb) {
+            bodies.push(request.body);
+            cb(null, {status: 200, statusText: "OK", body: "s\t200\n"});
+        };
+        expect(function () {
+            client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0xf0", 1474552384381, "1\r5");
+        }).toThrow(jasmine.objectContaining({code: "invalid_character", field: "value"}));
+        expect(function () {
+            client.addZCLCommand("f104:00ff:0000:0001", null, null, "0x0006", 1, "0x01", 1474552384381, "AQI=\n");
+        }).toThrow(jasmine.objectContaining({code: "invalid_character", field: "value"}));
+        expect(function () {
+            client.addObject({id: 7, messageType: 9, fields: ["a\tb"]});
+        }).toThrow(jasmine.objectContaining({code: "invalid_character", field: "fields", messageId: 7}));
+        client.addZCLReport("f104:00ff:0000:0001", null, null, "0x0402", "0x0000", "0xf0", 1474552384381, "15");
+        expect(client.getMessage(1)).toBeDefined();
+        client.post({clear: true}, function (err) {
+            expect(err).toBeNull();
+        });
+        expect(bodies.length).toEqual(1);
+        expect(client.getMessages().length).toEqual(0);
+    });
+});
+
+describe("Streaming a payload", function() {    
+    var mock = require("../mock/server.js");
+    
+    function createClient(hash) {
+        var client = createDebugClient({hash: hash !== false, secret: "secret"}),
+            i;
+        for (i = 0; i < 50; i += 1) {
+            addReport(client, 1474552384381 + i * 1000, 2150 + i);
+        }
+        return client;
+    }
+    
+    function readStream(stream, cb) {
+        var chunks = [];
+        stream.setEncoding("utf8");
+        stream.on("data", function (chunk) {
+            chunks.push(chunk);
+        });
+        stream.on("error", function (err) {
+            cb(err, null);
+        });
+        stream.on("end", function () {
+            cb(null, chunks.join(""));
+        });
+    }
+    
+    it("should stream the same payload as toString().", function(done) {
+        var client = createClient(),
+            stream = client.createPayloadStream();
+        expect(stream.byteLength).toEqual(Buffer.byteLength(client.toString()));
+        readStream(stream, function (err, payload) {
+            expect(err).toBeNull();
+            expect(payload).toEqual(client.toString());
+            done();
+        });
+    });
+    
+    it("should sign incrementally with any signer.", function(done) {
+        var client = createClient(),
+            signers = [JOA.signers.pureMd5, JOA.signers.hmac("sha256", "hmac")],
+            payloads = [];
+        function next() {
+            if (signers.length === 0) {
+                done();
+                return;
+            }
+            client.signer = signers.shift();
+            readStream(client.createPayloadStream(), function (err, payload) {
+                expect(err).toBeNull();
+                expect(payload).toEqual(client.toString());
+                expect(payloads).not.toContain(payload);
+                payloads.push(payload);
+                next();
+            });
+        }
+        next();
+    });
+    
+    it("should emit the errors of a payload.", function(done) {
+        var client = createClient();
+        client.addObject({id: 99, messageType: 9, fields: ["ab"]});
+        client.getMessage(99).fields[0] = "a\tb";
+        readStream(client.createPayloadStream(), function (err) {
+            expect(err).toEqual(jasmine.objectContaining({code: "invalid_character", messageId: 99}));
+            done();
+        });
+    });
+    
+    it("should iterate over the lines of a payload.", function(done) {
+        var client = createClient(),
+            iterator = client.payloadIterator(),
+            lines = [];
+        function next() {
+            iterator.next().then(function (result) {
+                if (result.done) {
+                    expect(lines.length).toEqual(51);
+                    expect(lines[1]).toEqual("1\t0\tf104:00ff:0000:0001\t0x0a\t0xf100\t0x0402\t0x0000\t0x29\t1474552384381\t2150\n");
+                    expect(lines.join("")).toEqual(client.toString());
+                    done();
+                } else {
+                    lines.push(result.value);
+                    next();
+                }
+            });
+        }
+        next();
+    });
+    
+    it("should reject with the errors of a payload.", function(done) {
+        var client = createClient();
+        client.header.attribute.vendor = null;
+        client.payloadIterator().next().then(null, function (err) {
+            expect(err.code).toEqual("no_vendor_attribute_set");
+            done();
+        });
+    });
+    
+    it("should post a streamed payload.", function(done) {
+        var server = mock.createServer({secret: "secret", statuses: {2: 489}}),
+            client = createClient(),
+            requests = [];
+        client.streaming = true;
+        client.on("request:sent", function (request) {
+            requests.push(request);
+        });
+        client.transport = JOA.transports.node;
+        server.listen(0, function (err, url) {
+            expect(err).toBeNull();
+            client.url = url;
+            client.post({clearOnlySuccess: true}, function (err, response, messages) {
+                expect(err).toBeNull();
+                expect(requests[0].body).toBeNull();
+                expect(requests[0].headers["Content-Length"]).toEqual(server.requests[0].raw.length);
+                expect(server.requests[0].hashValid).toBe(true);
+                expect(server.requests[0].messages.length).toEqual(50);
+                expect(messages.raw).toBeNull();
+                expect(messages.parsed.failed[0].id).toEqual(2);
+                expect(client.getMessages().length).toEqual(1);
+                server.close(done);
+            });
+        });
+    });
+    
+    it("should refuse to stream with the xhr transport.", function(done) {
+        var client = createClient(),
+            requests = [];
+        client.streaming = true;
+        client.transport = JOA.transports.xhr;
+        client.on("request:sent", function (request) {
+            requests.push(request);
+        });
+        client.post({clear: true}, function (err, response) {
+            expect(err instanceof JOA.JoaConfigError).toBe(true);
+            expect(err.code).toEqual("streaming_not_supported");
+            expect(response).toBeNull();
+            expect(requests.length).toEqual(0);
+            expect(client.getMessages().length).toEqual(50);
+            done();
+        });
+    });
+    
+    it("should stream the batches to the debug interface.", function(done) {
+        var server = mock.createServer({secret: "secret"}),
+            client = createClient();
+        client.streaming = true;
+        client.debug = true;
+        client.batching = {maxMessages: 20};
+        client.transport = server.transport;
+        client.post({clear: true}, function (err, response, messages) {
+            expect(err).toBeNull();
+            expect(response.batches.length).toEqual(3);
+            expect(messages.raw).toBeNull();
+            expect(server.requests.map(function (request) {
+                return request.hashValid && request.messages.length;
+            })).toEqual([20, 20, 10]);
+            expect(client.getMessages().length).toEqual(0);
+            done();
+        });
+    });
+});